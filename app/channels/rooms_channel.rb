@@ -1,4 +1,5 @@
 class RoomsChannel < ApplicationCable::Channel
+  TRANSFER_ID_FORMAT = /\A\h{8}-\h{4}-\h{4}-\h{4}-\h{12}\z/
   def subscribed
     @joined = false
     @room_id = params[:room_id]
@@ -33,14 +34,17 @@ class RoomsChannel < ApplicationCable::Channel
       initiator: count == 1,
       connection_id: @connection_id,
       file_sharing: true,
-      file_size_limit: Nullroom::Config::FILE_TRANSFER_SIZE_LIMIT_BYTES
+      file_size_limit: Nullroom::Config::FILE_TRANSFER_SIZE_LIMIT_BYTES,
+      relay_only: REDIS.exists?("room:#{@room_id}:relay_only")
     })
 
-    # If we're the second person, notify first person that we're ready
+    # If we're the second person, notify first person that we're ready.
+    # This is also how the other peer learns that someone whose connection
+    # dropped has resubscribed; the connection_id lets the sender ignore its own.
     if count == 2
       ActionCable.server.broadcast(
         "rooms:#{@room_id}",
-        { type: "peer_ready" }
+        { type: "peer_ready", connection_id: @connection_id }
       )
     end
   end
@@ -79,22 +83,28 @@ class RoomsChannel < ApplicationCable::Channel
     if Nullroom::Config::DESTROY_ROOM_ON_PEER_LEAVE
       REDIS.del(room_key)
       REDIS.del(count_key)
+      REDIS.del("room:#{@room_id}:relay_only")
     end
   end
 
   # Called by the client before starting a DataChannel file transfer.
   # Acts as the server-side gate: authorises or rejects based on metadata.
   # Actual file bytes NEVER touch the server — they travel P2P over the DataChannel.
+  # A queued upload sends one request per file; the client-generated transfer_id
+  # is echoed back (only if it is a UUID) so replies can be matched to files.
   def initiate_file_transfer(data)
+    transfer_id = transfer_id_from(data["metadata"])
+
     if authorized_for_file_transfer?(data["metadata"])
       # Authorised — let the client proceed with the DataChannel transfer
-      transmit({ type: "file_transfer_authorized" })
+      transmit({ type: "file_transfer_authorized", transfer_id: transfer_id }.compact)
     else
       # Soft rejection — only the requesting sender receives this
       transmit({
         type: "file_transfer_error",
+        transfer_id: transfer_id,
         error: "Beta limit exceeded: Files must be under #{file_limit_label}."
-      })
+      }.compact)
     end
   end
 
@@ -111,6 +121,11 @@ class RoomsChannel < ApplicationCable::Channel
     true
   end
 
+  def transfer_id_from(metadata)
+    transfer_id = metadata.to_h["transfer_id"].to_s.downcase
+    transfer_id if transfer_id.match?(TRANSFER_ID_FORMAT)
+  end
+
   def file_limit_label
     bytes = Nullroom::Config::FILE_TRANSFER_SIZE_LIMIT_BYTES
     mebibytes = bytes / 1024.0 / 1024.0
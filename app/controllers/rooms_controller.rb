@@ -16,6 +16,10 @@ class RoomsController < ApplicationController
     # Initialize room counter (nobody joined yet)
     REDIS.setex("room:#{room_id}:count", Nullroom::Config::ROOM_COUNT_TTL_SECONDS, "0")
 
+    # Relay-only rooms hide both peers' IP addresses by forcing traffic through TURN
+    relay_only = ActiveModel::Type::Boolean.new.cast(params[:relay_only]) == true
+    REDIS.setex("room:#{room_id}:relay_only", Nullroom::Config::ROOM_TTL_SECONDS, "1") if relay_only
+
     # Fetch ephemeral TURN credentials from Cloudflare
     begin
       service = CloudflareTurnService.new
@@ -29,7 +33,8 @@ class RoomsController < ApplicationController
     # Return JSON response (NOT a redirect)
     render json: {
       room_id: room_id,
-      turn_servers: turn_servers
+      turn_servers: turn_servers,
+      relay_only: relay_only
     }
   end
 
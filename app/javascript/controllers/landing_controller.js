@@ -3,7 +3,7 @@ import { generateKey } from "modules/encryption"
 
 // Handles room creation and client-side key generation on the landing page.
 export default class extends Controller {
-  static targets = ["buttonText", "errorContainer", "errorMessage"]
+  static targets = ["buttonText", "errorContainer", "errorMessage", "passphraseToggle", "relayToggle"]
 
   // Create a room on the server, generate the client key, and redirect with hash.
   createRoom(event) {
@@ -21,7 +21,9 @@ export default class extends Controller {
       headers: {
         "Content-Type": "application/json",
         "X-CSRF-Token": this.getCSRFToken()
-      }
+      },
+      // Relay-only rooms route all traffic through TURN so neither peer learns the other's IP
+      body: JSON.stringify({ relay_only: this.hasRelayToggleTarget && this.relayToggleTarget.checked })
     })
       .then(response => {
         if (!response.ok) throw new Error("Failed to create room")
@@ -30,8 +32,10 @@ export default class extends Controller {
       .then(async (data) => {
         const { room_id, turn_servers } = data
 
-        // Generate encryption key client-side
-        const encryptionKey = await generateKey()
+        // Generate encryption key client-side; a passphrase room's key also
+        // needs the passphrase, which is chosen on the room page and never put in the link
+        const passphrase = this.hasPassphraseToggleTarget && this.passphraseToggleTarget.checked
+        const encryptionKey = await generateKey({ passphrase })
 
         // Browser-side redirect: key is born in browser and never touches HTTP
         window.location.assign(`/rooms/${room_id}#${encryptionKey}`)
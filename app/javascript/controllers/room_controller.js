@@ -1,9 +1,40 @@
 import { Controller } from "@hotwired/stimulus"
 import PeerConnection from "modules/peer_connection"
-import { importKey, encrypt, decrypt, encryptBuffer, decryptBuffer } from "modules/encryption"
-import { FileTransferSender, FileTransferReceiver, FILE_SIZE_LIMIT } from "modules/file_transfer"
+import {
+  importRoomKeys,
+  keyRequiresPassphrase,
+  encrypt,
+  decrypt,
+  encryptBuffer,
+  decryptBuffer,
+  generateSessionKeyPair,
+  exportPublicKey,
+  deriveSessionKey,
+  KeyFormatError
+} from "modules/encryption"
+import { computeSafetyNumber } from "modules/safety_number"
+import { FileTransferSender, FileTransferReceiver, FILE_SIZE_LIMIT, isDisplayableMimeType } from "modules/file_transfer"
+import { FileSystemSink, MemorySink, openFallbackSink, downloadName, INLINE_PREVIEW_LIMIT } from "modules/file_sink"
+import { createEnvelope, sealEnvelope, openEnvelope, EnvelopeError, PROTOCOL_VERSION } from "modules/message_envelope"
 import { devLog } from "modules/dev_logger"
 
+const HELLO_TIMEOUT_MS = 5_000 // how long to wait for the peer's hello before assuming an old build
+const MAX_RECEIPT_IDS  = 100   // message ids acknowledged per receipt envelope
+const TYPING_THROTTLE_MS = 2_000 // at most one typing signal per this interval
+const TYPING_EXPIRY_MS   = 5_000 // hide the peer's typing line after this much silence
+const KEY_MISMATCH_FRAME = "nullroom:key-mismatch" // plaintext: the peer's key cannot be ours
+const SESSION_FRAME_PREFIX = "s:" // frames sealed with the ECDH session key rather than the link key
+const MAX_BURN_SECONDS   = 15 * 60 // longest per-message self-destruct timer accepted from a peer
+const REPLY_SNIPPET_LENGTH = 120   // characters of the quoted message carried in a reply
+const REACTIONS = ["👍", "❤️", "😂", "😮", "😢", "🔥"]
+
+// Chat markup: ```fenced``` code, `inline code`, **bold**, *italic* and bare http(s) URLs
+const CODE_FENCE   = /```(?:[a-z0-9_+-]*\n)?([\s\S]*?)```/gi
+const INLINE_TOKEN = /`([^`\n]+)`|\*\*([^*\s](?:[^*\n]*[^*\s])?)\*\*|\*([^*\s](?:[^*\n]*[^*\s])?)\*|(https?:\/\/[^\s<>"'`]+)/gi
+const URL_TRAILING_PUNCTUATION = /[.,;:!?)\]}'"]+$/
+const MESSAGE_STATUS_RANK = { sending: 0, delivered: 1, read: 2 }
+const PEER_LEFT_GRACE_MS = 30_000 // a peer whose cable dropped mid-conversation gets this long to resubscribe
+
 // Manages room lifecycle, signaling, and P2P encrypted messaging UI.
 export default class extends Controller {
   static targets = [
@@ -18,12 +49,23 @@ export default class extends Controller {
     "terminatedModal",
     "errorToast",
     "errorToastText",
+    "typingIndicator",
+    "passphraseModal",
+    "passphraseInput",
+    "passphraseError",
+    "passphraseSubmit",
+    "verifyButton",
+    "routeLabel",
+    "verificationModal",
+    "safetyNumber",
+    "burnSelect",
+    "replyPreview",
+    "replyPreviewText",
     // File transfer
     "fileZone",
     "fileInput",
-    "fileProgress",
-    "fileProgressBar",
-    "fileProgressLabel"
+    "folderInput",
+    "fileQueue"
   ]
 
   static values = {
@@ -38,21 +80,81 @@ export default class extends Controller {
       signaling: true,
       p2p: false,
       roomTerminated: false,
-      messages: [],
+      messages: new Map(), // message id → { isMine, text, messageEl, textEl, timestampEl, removed, editedEl, actionsEl, reactions… }
+      editing: null,       // id of our message being edited in the input
+      replyTo: null,       // { id, snippet } quoted by the next message we send
+      quotes: new Map(),   // quoted message id → Set of quote elements showing its snippet
       encryptionKey: null,
+      verificationKey: null,  // HMAC key for the safety number (see modules/safety_number.js)
+      signalingKey: null,     // seals signals relayed through ActionCable
+      outgoingSignals: Promise.resolve(), // signals are sealed and opened in order
+      incomingSignals: Promise.resolve(),
+      pendingSignals: [],     // opened signals that arrived before init created the peer
+      peerReady: false,       // peer_ready arrived before init; offer once the peer exists
+      signalRejected: false,
+      relayOnly: false,       // room created in "hide my IP" mode: TURN relays only
+      reconnecting: false,    // ICE restart in progress after a network drop
+      previousConnectionIds: new Set(), // ours from before a cable reconnect, so their peer_left is not the peer's
+      peerLeftTimer: null,    // pending teardown while a peer that dropped may still come back
+      safetyNumber: null,     // [{ emoji, name }] for this connection's DTLS fingerprints
+      verified: false,        // both people confirmed the safety number matches
+      keyFragment: null,      // URL fragment, kept to re-derive a passphrase room's key
+      passphraseRoom: false,
+      keyVerified: false,     // passphrase rooms: the peer proved it derived the same key
+      sessionKeyPair: null,   // promise of our ephemeral { keyPair, publicKey }; private key dropped once derived
+      sessionKey: null,       // forward-secret key for chat and files once both sides exchanged keys
+      sessionReady: null,     // resolves to sessionKey; session frames wait on it
+      resolveSession: null,
+      peerUsesSession: false, // the peer has switched to the session key: refuse link-key frames
+      sendQueue: Promise.resolve(), // chat frames leave in the order they were sent
       peer: null,
       channel: null,
       timer: null,
       connectionId: null, // Store our connection ID
+      peerProtocol: null,   // peer's envelope version once its hello arrived
+      helloTimer: null,
+      protocolWarned: false,
+      typingSentAt: 0,     // when we last told the peer we were typing
+      typingTimer: null,   // hides the peer's typing line
+      outgoing: new Map(), // message id → { status, statusEl } for our own messages
+      unread: new Map(),   // message id → bubble of peer messages not yet read
+      onScreen: new Set(), // unread message ids currently visible in the thread
+      burning: new Map(),  // message id → { messageEl, textEl, countdownEl, expiresAt, timer }
       objectUrls: new Set(),
+      lightbox: null, // full-size image overlay, while open
+      linkPrompt: null, // external link interstitial, while open
       // File transfer
       fileSharing: false,
-      pendingFile: null,
+      pendingFiles: new Map(),    // transferId → { file, path } awaiting the server gate
+      fileCards: new Map(),       // transferId → progress card elements
+      fileDirectories: new Map(), // top-level folder name → directory handle picked for it
+      fileOffers: new Map(),      // transferId → incoming offer card awaiting an answer
       fileSizeLimit: FILE_SIZE_LIMIT
     }
     this.sender   = null
     this.receiver = null
 
+    // Chat-channel envelope handlers, keyed by envelope type
+    this.messageHandlers = new Map([
+      ["hello", (envelope) => this.handleHello(envelope)],
+      ["chat", (envelope) => this.handleChatMessage(envelope)],
+      ["receipt", (envelope) => this.handleReceipt(envelope)],
+      ["typing", () => this.showPeerTyping()],
+      ["key-check", (envelope) => this.handleKeyCheck(envelope)],
+      ["key-exchange", (envelope) => this.handleKeyExchange(envelope)],
+      ["edit", (envelope) => this.handleEdit(envelope)],
+      ["unsend", (envelope) => this.handleUnsend(envelope)],
+      ["reaction", (envelope) => this.handleReaction(envelope)]
+    ])
+
+    this.state.sessionReady = new Promise((resolve) => { this.state.resolveSession = resolve })
+
+    // Marks peer messages read once they are on screen in a visible tab
+    this.readObserver = new IntersectionObserver(
+      (entries) => this.trackOnScreen(entries),
+      { root: this.messagesContainerTarget, threshold: 0.5 }
+    )
+
     // Populate share link with full URL including hash
     if (this.hasShareLinkTarget) {
       this.shareLinkTarget.value = window.location.href
@@ -71,9 +173,29 @@ export default class extends Controller {
         return
       }
 
+      // A passphrase room can only derive its key once the passphrase is entered
+      this.state.keyFragment = keyString
+      if (keyRequiresPassphrase(keyString)) {
+        this.state.passphraseRoom = true
+        this.showPassphrasePrompt()
+        return
+      }
+
       // Import encryption key
-      this.state.encryptionKey = await importKey(keyString)
+      const { encryptionKey, verificationKey, signalingKey } = await importRoomKeys(keyString)
+      this.state.encryptionKey = encryptionKey
+      this.state.verificationKey = verificationKey
+      this.state.signalingKey = signalingKey
+      this.joinRoom()
+    } catch (error) {
+      console.error("Room initialization error:", error)
+      this.showError(error instanceof KeyFormatError ? error.message : "Failed to initialize room")
+    }
+  }
 
+  // Join once the key is ready: set ICE servers, subscribe to signaling, and start timer.
+  joinRoom() {
+    try {
       // Use provided ICE servers from data attribute (from Cloudflare)
       // These are fetched server-side and never include Google STUN
       this.iceServers = this.turnServersValue && this.turnServersValue.length > 0
@@ -98,19 +220,20 @@ export default class extends Controller {
     // Store whether we're initiator
     this.isInitiator = isInitiator
 
+    if (this.state.relayOnly && this.iceServers.length === 0) {
+      this.showError("This room hides IP addresses but no relay server is available, so it cannot connect")
+    }
+
     this.state.peer = new PeerConnection({
       initiator: isInitiator, // Set this for datachannel creation
       trickleIce: true,
-      iceServers: this.iceServers
+      iceServers: this.iceServers,
+      relayOnly: this.state.relayOnly
     })
 
     // Handle peer signal event (emit offers, answers, ICE candidates)
     this.state.peer.on("signal", (data) => {
-      if (this.channel) {
-        this.channel.perform("send_signal", { data: data })
-      } else {
-        console.error("[Room] Channel not ready, cannot send signal")
-      }
+      this.sendSignal(data)
     })
 
     // Handle peer connection established
@@ -118,13 +241,28 @@ export default class extends Controller {
       if (this.state.p2p) return // guard against duplicate connect events
       this.updateStatus(true, "🔒 Secure P2P")
       this.clearWaitingPlaceholder()
-      this.messageInputTarget.disabled = false
-      this.sendButtonTarget.disabled = false
-      this.messageInputTarget.focus()
-      // Initialise file transfer if the server flagged it as available
-      if (this.state.fileSharing) {
-        this._initFileTransfer()
-      }
+      this.statusTextTarget.textContent = this.state.passphraseRoom && !this.state.keyVerified
+        ? "🔒 Checking passphrase…"
+        : "🔒 Establishing session key…"
+      this.maybeEnableChat()
+      this.refreshRoute()
+    })
+
+    // Show whether the live path is direct or goes through a relay
+    this.state.peer.on("route-change", () => {
+      this.refreshRoute()
+    })
+
+    // Introduce ourselves as soon as the chat channel can carry messages
+    this.state.peer.on("channel-open", () => {
+      if (this.state.passphraseRoom) this.sendKeyCheck()
+      this.sendHello()
+      this.startKeyExchange()
+    })
+
+    // Anything still unacknowledged when the chat channel closes was not delivered
+    this.state.peer.on("channel-closed", () => {
+      this.failPendingMessages()
     })
 
     // Handle DataChannel open
@@ -132,14 +270,28 @@ export default class extends Controller {
       this.handleIncomingMessage(data)
     })
 
-    // Handle incoming file chunks from the dedicated file channel
+    // Handle incoming file chunks and acknowledgements from the dedicated file channel
     this.state.peer.on("file-data", (data) => {
+      if (this.sender) {
+        this.sender.handleControl(data)
+      }
       if (this.receiver) {
         this.receiver.handleChunk(data)
       }
     })
 
-    // Handle peer close or error (Heartbeat: immediate UI scrub)
+    // The network dropped and ICE is being restarted; the conversation stays
+    this.state.peer.on("reconnecting", ({ attempt, maxAttempts }) => {
+      this.handleReconnecting(attempt, maxAttempts)
+    })
+
+    this.state.peer.on("reconnected", () => {
+      this.handleReconnected()
+    })
+
+    // Handle peer close or error (Heartbeat: immediate UI scrub). "close" only
+    // fires once every ICE restart has failed; a peer that leaves is reported
+    // through peer_left.
     this.state.peer.on("close", () => {
       this.handlePeerClosed()
     })
@@ -148,6 +300,13 @@ export default class extends Controller {
       console.error("Peer error:", err)
       this.handlePeerClosed()
     })
+
+    // Signals and peer_ready can race ahead of init; catch up now the peer exists
+    this.drainPendingSignals()
+    if (this.isInitiator && this.state.peerReady) {
+      devLog("[Room] Peer was ready before init")
+      this.state.peer.createOffer()
+    }
   }
 
   // Subscribe to ActionCable signaling channel and route messages to peer.
@@ -160,117 +319,1239 @@ export default class extends Controller {
         },
         disconnected: () => {
           devLog("[Room] Disconnected from RoomChannel")
+          // ActionCable resubscribes on its own; hold ICE restarts until then
+          this.state.peer?.signalingLost()
         },
         rejected: () => {
           console.error("[Room] Subscription rejected - room may be full")
           this.showError("Room is full or unavailable")
         },
         received: (data) => {
-          if (data.type === "init") {
+          if (data.type === "init" && this.state.peer) {
+            // Resubscribed after the cable dropped: keep the live peer (and its
+            // role), just take the new connection ID and resume signaling
+            devLog("[Room] Resubscribed to RoomChannel")
+            if (this.state.connectionId) this.state.previousConnectionIds.add(this.state.connectionId)
+            this.state.connectionId = data.connection_id
+            this.state.peer.signalingRestored()
+          } else if (data.type === "init") {
             // Store our connection ID and initialize peer
             this.state.connectionId = data.connection_id
             this.state.fileSharing  = data.file_sharing === true
             this.state.fileSizeLimit = Number(data.file_size_limit) > 0 ? Number(data.file_size_limit) : FILE_SIZE_LIMIT
+            this.state.relayOnly = data.relay_only === true
             devLog("[Room] Received init event")
             this.initializePeer(data.initiator)
           } else if (data.type === "peer_ready") {
+            if (this.isOwnConnection(data.connection_id)) return
+
             // Second peer is ready, initiator can now create offer
-            if (this.isInitiator && this.state.peer) {
+            if (!this.state.peer) {
+              this.state.peerReady = true // init has not arrived yet; initializePeer offers
+            } else if (this.state.p2p) {
+              this.handlePeerReturned()
+            } else if (this.isInitiator) {
               devLog("[Room] Peer ready")
               this.state.peer.createOffer()
             }
           } else if (data.type === "peer_left") {
             // Peer left the room
             devLog("[Room] Peer left")
-            if (data.connection_id === this.state.connectionId) {
+            if (this.isOwnConnection(data.connection_id)) {
               return
             }
-            this.handlePeerClosed()
+            this.handlePeerLeft()
           } else if (data.type === "file_transfer_authorized") {
-            // Server approved the transfer — start sending over the DataChannel
-            if (this.state.pendingFile && this.sender) {
-              const file = this.state.pendingFile
-              this.state.pendingFile = null
-              // Await completion then show a sent-confirmation bubble on the sender side.
-              // The sender already has the file locally so no download link is needed.
-              this.sender.send(file).then(() => {
-                this.appendFileDownload({ name: file.name, url: null, size: file.size, isSent: true })
-              }).catch((err) => {
-                console.error("[Room] File send error:", err)
-                this.showError("File transfer failed.")
-              })
+            // Server approved the transfer — queue it on the DataChannel
+            const pending = this.state.pendingFiles.get(data.transfer_id)
+            if (pending && this.sender) {
+              this.state.pendingFiles.delete(data.transfer_id)
+              this._sendQueuedFile(data.transfer_id, pending)
             }
           } else if (data.type === "file_transfer_error") {
-            this.state.pendingFile = null
+            if (this.state.pendingFiles.delete(data.transfer_id)) {
+              this._finishFileCard(data.transfer_id, "rejected", false)
+            }
             this.showError(data.error || "File transfer rejected.")
           } else if (data.type === "signal") {
-            // Ignore signals from ourselves
-            if (data.connection_id === this.state.connectionId) {
+            // Ignore signals from ourselves, including ones sent before a cable reconnect
+            if (this.isOwnConnection(data.connection_id)) {
               return
             }
 
-            devLog("[Room] Processing peer signal", data.data?.type || "unknown")
-            // Relay signal to PeerConnection
-            try {
-              if (this.state.peer) {
-                this.state.peer.signal(data.data)
-              } else {
-                console.warn("[Room] Peer not ready yet, buffering signal")
-              }
-            } catch (error) {
-              console.error("[Room] Error signaling peer:", error)
-            }
-          }
-        }
-      }
-    )
+            this.receiveSignal(data.data)
+          }
+        }
+      }
+    )
+  }
+
+  // Encrypt and send a message over the P2P data channel.
+  async sendMessage(event) {
+    if (event.type === "keydown" && (event.key !== "Enter" || event.shiftKey)) return
+    if (event.type === "keydown") event.preventDefault()
+
+    const input = this.messageInputTarget
+    const text = this.normalizeChatText(input.value)
+
+    if (!text || this.state.roomTerminated || this.state.signaling) return
+    if (this.state.editing) {
+      await this.submitEdit(text)
+      return
+    }
+
+    // Burn timer travels inside the encrypted payload; 0 keeps the message
+    const burn = this.hasBurnSelectTarget ? this.normalizeBurnSeconds(this.burnSelectTarget.value) : 0
+    const reply = this.state.replyTo
+    const payload = { text }
+    if (burn) payload.burn = burn
+    if (reply) payload.reply = reply
+
+    // Display in UI immediately (optimistic); receipts update its status
+    const id = crypto.randomUUID()
+    this.displayMessage(text, true, { id, burn, reply })
+
+    // Clear input
+    input.value = ""
+    this.state.typingSentAt = 0
+    this.cancelReply()
+
+    try {
+      // Encrypt and send via DataChannel (P2P, NOT ActionCable)
+      await this.sendEnvelope("chat", payload, { id })
+    } catch (error) {
+      console.error("Error sending message:", error)
+      this.updateMessageStatus(id, "failed")
+      this.showError("Failed to send message")
+    }
+  }
+
+  // Wrap a payload in an encrypted envelope and send it over the chat channel.
+  // Throws if the channel is not open.
+  // Uses the session key once it exists (unless `linkKey`), the link key before that.
+  // Sealing is async, so frames are queued to keep the peer's view in order.
+  async sendEnvelope(type, payload, { id, linkKey = false } = {}) {
+    const envelope = createEnvelope(type, payload, id ? { id } : {})
+
+    const sent = this.state.sendQueue.then(async () => {
+      const frame = this.state.sessionKey && !linkKey
+        ? SESSION_FRAME_PREFIX + await sealEnvelope(envelope, this.state.sessionKey)
+        : await sealEnvelope(envelope, this.state.encryptionKey)
+
+      if (!this.state.peer || !this.state.peer.send(frame)) {
+        throw new Error("Chat channel is not open")
+      }
+    })
+    this.state.sendQueue = sent.catch(() => {})
+
+    await sent
+    return envelope
+  }
+
+  // Decrypt incoming P2P data and hand the envelope to its type's handler.
+  async handleIncomingMessage(encryptedString) {
+    if (encryptedString === KEY_MISMATCH_FRAME) {
+      this.handleKeyMismatch(false)
+      return
+    }
+
+    let frame = String(encryptedString)
+    let key = this.state.encryptionKey
+    if (frame.startsWith(SESSION_FRAME_PREFIX)) {
+      // The peer's key-exchange came first on this ordered channel; wait for our derivation
+      this.state.peerUsesSession = true
+      frame = frame.slice(SESSION_FRAME_PREFIX.length)
+      key = await this.state.sessionReady
+    } else if (this.state.peerUsesSession) {
+      console.warn("[Room] Dropping frame sealed with the link key after the session key was established")
+      return
+    }
+
+    let envelope
+    try {
+      envelope = await openEnvelope(frame, key)
+    } catch (error) {
+      if (error instanceof EnvelopeError) {
+        this.handleEnvelopeError(error)
+        return
+      }
+      if (this.state.passphraseRoom && !this.state.keyVerified) {
+        // Before the key check succeeds, a frame we cannot open means different passphrases
+        this.handleKeyMismatch(true)
+        return
+      }
+      console.error("Error decrypting message:", error)
+      this.showError("Failed to decrypt message")
+      return
+    }
+
+    this.dispatchEnvelope(envelope)
+  }
+
+  // Route an envelope to its handler; unknown types (from newer builds) are skipped.
+  dispatchEnvelope(envelope) {
+    const handler = this.messageHandlers.get(envelope.type)
+    if (!handler) {
+      devLog("[Room] Ignoring unknown message type", envelope.type)
+      return
+    }
+    handler(envelope)
+  }
+
+  // Frames that decrypted but are not envelopes of our version.
+  handleEnvelopeError(error) {
+    if (error.reason === "legacy") {
+      // A pre-envelope build sends bare text: still show it, but say why things may break
+      const safeText = this.normalizeChatText(error.plaintext)
+      if (safeText) this.displayMessage(safeText, false)
+      this.warnProtocolMismatch("Your peer is running an older version of nullroom. Ask them to reload the page.")
+    } else if (error.reason === "version") {
+      this.warnProtocolMismatch(error.version > PROTOCOL_VERSION
+        ? "Your peer is running a newer version of nullroom. Please reload the page."
+        : "Your peer is running an older version of nullroom. Ask them to reload the page.")
+    } else {
+      console.warn("[Room] Dropping malformed message:", error.message)
+    }
+  }
+
+  // Send our hello and expect the peer's within HELLO_TIMEOUT_MS.
+  async sendHello() {
+    clearTimeout(this.state.helloTimer)
+    this.state.helloTimer = setTimeout(() => {
+      if (this.state.passphraseRoom && !this.state.keyVerified) return // a mismatch, not an old build
+      if (this.state.peerProtocol === null && !this.state.roomTerminated) {
+        this.warnProtocolMismatch("Your peer did not answer the version handshake. If messages look wrong, both of you should reload the page.")
+      }
+    }, HELLO_TIMEOUT_MS)
+
+    try {
+      await this.sendEnvelope("hello", { protocol: PROTOCOL_VERSION })
+    } catch (error) {
+      console.error("[Room] Failed to send hello:", error)
+    }
+  }
+
+  // Peer introduced itself with a matching protocol version.
+  handleHello(envelope) {
+    clearTimeout(this.state.helloTimer)
+    this.state.peerProtocol = envelope.v
+    devLog("[Room] Peer protocol", envelope.v)
+  }
+
+  // Render an incoming chat message and acknowledge it.
+  handleChatMessage(envelope) {
+    const safeText = this.normalizeChatText(envelope.payload.text)
+    if (!safeText) return
+
+    this.hidePeerTyping()
+    this.displayMessage(safeText, false, {
+      id: envelope.id,
+      burn: this.normalizeBurnSeconds(envelope.payload.burn),
+      reply: this.normalizeReply(envelope.payload.reply)
+    })
+    this.sendReceipt("delivered", [envelope.id])
+  }
+
+  // ── Signaling ─────────────────────────────────────────────────────────────
+
+  // Seal an offer, answer or ICE candidate so the server relays an opaque blob:
+  // it never sees candidate addresses or DTLS fingerprints.
+  sendSignal(data) {
+    this.state.outgoingSignals = this.state.outgoingSignals.then(async () => {
+      if (!this.channel) {
+        console.error("[Room] Channel not ready, cannot send signal")
+        return
+      }
+      const sealed = await encrypt(JSON.stringify(data), this.state.signalingKey)
+      this.channel.perform("send_signal", { data: sealed })
+    }).catch((error) => {
+      console.error("[Room] Error sealing signal:", error)
+    })
+  }
+
+  // Open a relayed signal and hand it to PeerConnection. Anything that fails
+  // to authenticate (forged, tampered, or from an old build) is dropped.
+  receiveSignal(sealed) {
+    this.state.incomingSignals = this.state.incomingSignals.then(async () => {
+      let data
+      try {
+        if (typeof sealed !== "string") throw new Error("Signal is not sealed")
+        data = JSON.parse(await decrypt(sealed, this.state.signalingKey))
+        if (!data || typeof data !== "object") throw new Error("Signal is not an object")
+      } catch (error) {
+        console.warn("[Room] Rejecting signal that failed to authenticate:", error.message)
+        if (!this.state.signalRejected) {
+          this.state.signalRejected = true
+          this.showError("Ignored a connection message that failed to authenticate")
+        }
+        return
+      }
+
+      devLog("[Room] Processing peer signal", data?.type || "unknown")
+      // Relay signal to PeerConnection, behind any still waiting for it
+      if (!this.state.peer || this.state.pendingSignals.length > 0) {
+        devLog("[Room] Peer not ready yet, buffering signal")
+        this.state.pendingSignals.push(data)
+        return
+      }
+      await this.relaySignal(data)
+    })
+  }
+
+  // Hand signals buffered before init to the new peer, in arrival order and
+  // ahead of anything received after this point.
+  drainPendingSignals() {
+    this.state.incomingSignals = this.state.incomingSignals.then(async () => {
+      while (this.state.pendingSignals.length > 0) {
+        await this.relaySignal(this.state.pendingSignals.shift())
+      }
+    })
+  }
+
+  async relaySignal(data) {
+    try {
+      await this.state.peer.signal(data)
+    } catch (error) {
+      console.error("[Room] Error signaling peer:", error)
+    }
+  }
+
+  // ── Passphrase rooms ──────────────────────────────────────────────────────
+
+  showPassphrasePrompt(error = null) {
+    this.passphraseErrorTarget.textContent = error || ""
+    this.passphraseErrorTarget.classList.toggle("hidden", !error)
+    this.passphraseSubmitTarget.disabled = false
+    this.passphraseInputTarget.value = ""
+    this.passphraseModalTarget.classList.remove("hidden")
+    this.passphraseInputTarget.focus()
+  }
+
+  // Derive the room key from the link secret and the passphrase. The first
+  // time this joins the room; after a mismatch it retries the key check.
+  async submitPassphrase(event) {
+    event.preventDefault()
+
+    const passphrase = this.passphraseInputTarget.value
+    if (!passphrase || this.state.roomTerminated) return
+
+    this.passphraseSubmitTarget.disabled = true
+    try {
+      const { encryptionKey, verificationKey, signalingKey } = await importRoomKeys(this.state.keyFragment, passphrase)
+      this.state.encryptionKey = encryptionKey
+      this.state.verificationKey = verificationKey
+      this.state.signalingKey = signalingKey
+    } catch (error) {
+      console.error("Passphrase key derivation error:", error)
+      this.showPassphrasePrompt(error instanceof KeyFormatError ? error.message : "Could not derive the room key")
+      return
+    } finally {
+      this.passphraseInputTarget.value = ""
+    }
+
+    this.passphraseModalTarget.classList.add("hidden")
+    if (this.channel) {
+      this.sendKeyCheck()
+    } else {
+      this.joinRoom()
+    }
+  }
+
+  // Prove to the peer that we derived the same key: it can only open this
+  // envelope if it did. `reply` answers the peer's own check.
+  sendKeyCheck(reply = false) {
+    this.sendEnvelope("key-check", { reply }).catch((error) => {
+      devLog("[Room] Key check not sent", error.message)
+    })
+  }
+
+  // The peer's key check opened: both sides hold the same key.
+  handleKeyCheck(envelope) {
+    if (!this.state.passphraseRoom) return
+    if (envelope.payload.reply !== true) this.sendKeyCheck(true)
+    if (this.state.keyVerified) return
+
+    this.state.keyVerified = true
+    this.passphraseModalTarget.classList.add("hidden")
+    // Earlier hellos and key exchanges were sealed with a different key
+    if (this.state.peerProtocol === null) this.sendHello()
+    if (!this.state.sessionKey) this.startKeyExchange()
+    this.maybeEnableChat()
+  }
+
+  // Our keys differ: ask for the passphrase again (the room stays open).
+  // `notifyPeer` tells the peer, which cannot decrypt anything we send either.
+  handleKeyMismatch(notifyPeer) {
+    if (!this.state.passphraseRoom || this.state.keyVerified || this.state.roomTerminated) return
+
+    if (notifyPeer) this.state.peer?.send(KEY_MISMATCH_FRAME)
+    if (!this.passphraseModalTarget.classList.contains("hidden")) return
+
+    this.statusTextTarget.textContent = "🔒 Passphrase mismatch"
+    this.showPassphrasePrompt("The passphrase doesn't match your peer's. Check it with them and enter it again.")
+  }
+
+  // ── Session key ───────────────────────────────────────────────────────────
+
+  // Our ephemeral key pair, generated once per connection.
+  sessionKeyPair() {
+    this.state.sessionKeyPair ||= generateSessionKeyPair().then(async (keyPair) => ({
+      keyPair,
+      publicKey: await exportPublicKey(keyPair)
+    }))
+    return this.state.sessionKeyPair
+  }
+
+  // Send our ephemeral ECDH public key, sealed with the link key so the peer
+  // knows it came from someone holding the link.
+  async startKeyExchange() {
+    try {
+      const { publicKey } = await this.sessionKeyPair()
+      await this.sendEnvelope("key-exchange", { publicKey }, { linkKey: true })
+    } catch (error) {
+      devLog("[Room] Key exchange not sent", error.message)
+    }
+  }
+
+  // The peer's public key arrived: derive the session key and forget our private key.
+  async handleKeyExchange(envelope) {
+    if (this.state.sessionKey) return // no re-keying within a connection
+
+    const { publicKey } = envelope.payload
+    if (typeof publicKey !== "string") return
+
+    try {
+      const { keyPair, publicKey: ownPublicKey } = await this.sessionKeyPair()
+      const sessionKey = await deriveSessionKey(keyPair.privateKey, ownPublicKey, publicKey)
+      if (this.state.sessionKey) return
+
+      this.state.sessionKey = sessionKey
+      this.state.sessionKeyPair = Promise.resolve({ keyPair: null, publicKey: ownPublicKey })
+      this.state.resolveSession(sessionKey)
+      devLog("[Room] Session key established")
+      this.maybeEnableChat()
+    } catch (error) {
+      console.error("[Room] Key exchange failed:", error)
+      this.showError("Could not establish a secure session with your peer")
+    }
+  }
+
+  // Chat needs the channel, the session key and, in a passphrase room, a passed key check.
+  maybeEnableChat() {
+    if (!this.state.p2p || !this.state.sessionKey || this.state.roomTerminated) return
+    if (this.state.passphraseRoom && !this.state.keyVerified) return
+    this.enableChat()
+  }
+
+  // ── Reconnection ──────────────────────────────────────────────────────────
+
+  // Keep the thread and input while ICE restarts. Messages still waiting for
+  // an acknowledgement are marked as not delivered: the path they took is gone.
+  handleReconnecting(attempt, maxAttempts) {
+    if (this.state.roomTerminated) return
+
+    if (!this.state.reconnecting) {
+      this.state.reconnecting = true
+      this.failPendingMessages()
+      this.displaySystemNotice("Connection interrupted. Reconnecting…")
+    }
+    this.statusDotTarget.className = "w-3 h-3 rounded-full bg-yellow-400 animate-pulse"
+    // Attempt 0: waiting for the signaling channel before the first restart
+    this.statusTextTarget.textContent = attempt > 0
+      ? `Reconnecting… (${attempt}/${maxAttempts})`
+      : "Reconnecting…"
+  }
+
+  handleReconnected() {
+    if (this.state.roomTerminated || !this.state.reconnecting) return
+
+    this.state.reconnecting = false
+    this.updateStatus(true, "🔒 Secure P2P")
+    this.displaySystemNotice("Reconnected.")
+    this.refreshRoute() // the new path may differ, e.g. relayed on the new network
+  }
+
+  // Whether a connection ID from the server is ours, now or before a cable reconnect.
+  isOwnConnection(connectionId) {
+    return connectionId === this.state.connectionId || this.state.previousConnectionIds.has(connectionId)
+  }
+
+  // peer_left also fires when only the peer's cable dropped (e.g. switching
+  // networks), so a peer we were connected to gets a grace period to
+  // resubscribe. Closing the tab closes the data channel too, which still
+  // ends the room at once.
+  handlePeerLeft() {
+    if (this.state.roomTerminated) return
+    if (!this.state.p2p) {
+      this.handlePeerClosed()
+      return
+    }
+    if (this.state.peerLeftTimer) return
+
+    this.state.peer.signalingLost()
+    this.statusDotTarget.className = "w-3 h-3 rounded-full bg-yellow-400 animate-pulse"
+    this.statusTextTarget.textContent = "Peer disconnected, waiting for them to come back…"
+    this.state.peerLeftTimer = setTimeout(() => {
+      this.state.peerLeftTimer = null
+      if (!this.state.peer.isConnected()) {
+        this.handlePeerClosed()
+        return
+      }
+      // Still talking peer-to-peer: only their cable is gone
+      this.state.peer.signalingRestored()
+      this.updateStatus(true, "🔒 Secure P2P")
+    }, PEER_LEFT_GRACE_MS)
+  }
+
+  // The peer resubscribed (peer_ready after we were connected): keep the room
+  // and renegotiate now that our signals reach it again.
+  handlePeerReturned() {
+    if (this.state.roomTerminated) return
+    devLog("[Room] Peer resubscribed")
+
+    if (this.state.peerLeftTimer) {
+      clearTimeout(this.state.peerLeftTimer)
+      this.state.peerLeftTimer = null
+      if (!this.state.reconnecting) this.updateStatus(true, "🔒 Secure P2P")
+    }
+    this.state.peer.signalingRestored()
+  }
+
+  // ── Connection route ──────────────────────────────────────────────────────
+
+  // Status bar label for the selected ICE path: "Direct" (the peer can see our
+  // address) or "Relayed" (through TURN).
+  async refreshRoute() {
+    let route = null
+    try {
+      route = await this.state.peer?.getRouteType()
+    } catch (error) {
+      devLog("[Room] Route unavailable", error.message)
+    }
+    if (!route || this.state.roomTerminated) return
+
+    this.routeLabelTarget.textContent = route === "relayed" ? "Relayed" : "Direct"
+    this.routeLabelTarget.title = route === "relayed"
+      ? "Traffic goes through a relay server; your peer cannot see your IP address"
+      : "Direct connection; your peer can see your IP address"
+    this.routeLabelTarget.classList.remove("hidden")
+
+    if (this.state.relayOnly && route === "direct") {
+      console.warn("[Room] Relay-only room reports a direct path")
+    }
+  }
+
+  // ── Safety number ─────────────────────────────────────────────────────────
+
+  // Derive this connection's safety number and offer to verify it.
+  async prepareVerification() {
+    const fingerprints = this.state.peer?.getFingerprints()
+    if (!fingerprints || !this.state.verificationKey) return
+
+    try {
+      this.state.safetyNumber = await computeSafetyNumber(this.state.verificationKey, fingerprints)
+    } catch (error) {
+      console.error("[Room] Safety number unavailable:", error)
+      return
+    }
+
+    this.safetyNumberTarget.textContent = ""
+    for (const { emoji, name } of this.state.safetyNumber) {
+      const itemEl = document.createElement("li")
+      itemEl.className = "flex flex-col items-center gap-1"
+      const emojiEl = document.createElement("span")
+      emojiEl.className = "text-3xl"
+      emojiEl.setAttribute("aria-hidden", "true")
+      emojiEl.textContent = emoji
+      const nameEl = document.createElement("span")
+      nameEl.className = "text-xs font-mono text-secure-gray"
+      nameEl.textContent = name
+      itemEl.append(emojiEl, nameEl)
+      this.safetyNumberTarget.appendChild(itemEl)
+    }
+    this.updateVerifiedState()
+  }
+
+  openVerification() {
+    if (!this.state.safetyNumber || this.state.roomTerminated) return
+    this.verificationModalTarget.classList.remove("hidden")
+  }
+
+  closeVerification() {
+    this.verificationModalTarget.classList.add("hidden")
+  }
+
+  confirmVerification() {
+    this.state.verified = true
+    this.closeVerification()
+    this.updateVerifiedState()
+    this.displaySystemNotice("You marked this connection as verified.")
+  }
+
+  rejectVerification() {
+    this.state.verified = false
+    this.closeVerification()
+    this.updateVerifiedState()
+    this.displaySystemNotice("The safety numbers differ: someone may be intercepting this connection. Don't share anything sensitive; leave the room and create a new one.")
+  }
+
+  // Status bar badge: hidden until there is a safety number, then unverified or verified.
+  updateVerifiedState() {
+    const verified = this.state.verified
+    this.verifyButtonTarget.classList.toggle("hidden", !this.state.safetyNumber)
+    this.verifyButtonTarget.textContent = verified ? "✓ Verified" : "Unverified"
+    this.verifyButtonTarget.classList.toggle("text-green-400", verified)
+    this.verifyButtonTarget.classList.toggle("border-green-500/40", verified)
+    this.verifyButtonTarget.classList.toggle("text-yellow-400", !verified)
+    this.verifyButtonTarget.classList.toggle("border-yellow-500/40", !verified)
+  }
+
+  // Open the message input (and file sharing) once the session is ready.
+  enableChat() {
+    this.updateStatus(true, "🔒 Secure P2P")
+    this.messageInputTarget.disabled = false
+    this.sendButtonTarget.disabled = false
+    this.messageInputTarget.focus()
+    this.prepareVerification()
+    // Initialise file transfer if the server flagged it as available
+    if (this.state.fileSharing && !this.sender) {
+      this._initFileTransfer()
+    }
+  }
+
+  // ── Typing indicator ──────────────────────────────────────────────────────
+
+  // Tell the peer we are typing, at most once per TYPING_THROTTLE_MS.
+  // Ephemeral and P2P only: never sent through ActionCable.
+  notifyTyping() {
+    if (this.state.roomTerminated || this.state.signaling || !this.state.p2p) return
+    if (!this.messageInputTarget.value.trim()) return
+
+    const now = Date.now()
+    if (now - this.state.typingSentAt < TYPING_THROTTLE_MS) return
+    this.state.typingSentAt = now
+
+    this.sendEnvelope("typing", {}).catch((error) => {
+      devLog("[Room] Typing signal not sent", error.message)
+    })
+  }
+
+  // Show "peer is typing…" until the signals stop for TYPING_EXPIRY_MS.
+  showPeerTyping() {
+    if (!this.hasTypingIndicatorTarget || this.state.roomTerminated) return
+
+    this.typingIndicatorTarget.classList.remove("hidden")
+    clearTimeout(this.state.typingTimer)
+    this.state.typingTimer = setTimeout(() => this.hidePeerTyping(), TYPING_EXPIRY_MS)
+  }
+
+  hidePeerTyping() {
+    clearTimeout(this.state.typingTimer)
+    if (this.hasTypingIndicatorTarget) this.typingIndicatorTarget.classList.add("hidden")
+  }
+
+  // ── Self-destructing messages ─────────────────────────────────────────────
+
+  // Whole seconds in 1..MAX_BURN_SECONDS, or 0 for a message that does not burn.
+  normalizeBurnSeconds(value) {
+    const seconds = Number(value)
+    if (!Number.isInteger(seconds) || seconds <= 0) return 0
+    return Math.min(seconds, MAX_BURN_SECONDS)
+  }
+
+  // Count a bubble down and remove it when its timer runs out.
+  startBurnTimer(id, messageEl, textEl, countdownEl, seconds) {
+    const entry = { messageEl, textEl, countdownEl, expiresAt: Date.now() + seconds * 1000, timer: null }
+    this.state.burning.set(id, entry)
+
+    const tick = () => {
+      const remaining = Math.ceil((entry.expiresAt - Date.now()) / 1000)
+      if (remaining <= 0) {
+        this.burnMessage(id)
+        return
+      }
+      countdownEl.textContent = `🔥 ${this.formatBurnTime(remaining)}`
+    }
+    tick()
+    entry.timer = setInterval(tick, 1000)
+  }
+
+  formatBurnTime(seconds) {
+    if (seconds < 60) return `${seconds}s`
+    const mins = Math.floor(seconds / 60)
+    const secs = seconds % 60
+    return `${mins}:${secs.toString().padStart(2, "0")}`
+  }
+
+  // Erase an expired message from the screen and from every piece of state that references it.
+  burnMessage(id) {
+    const entry = this.state.burning.get(id)
+    if (!entry) return
+
+    clearInterval(entry.timer)
+    this.state.burning.delete(id)
+    entry.textEl.textContent = ""
+    this.readObserver.unobserve(entry.messageEl)
+    entry.messageEl.remove()
+
+    this.state.outgoing.delete(id)
+    this.state.unread.delete(id)
+    this.state.onScreen.delete(id)
+    this.state.messages.delete(id)
+    if (this.state.editing === id) this.cancelEdit()
+    this.eraseQuotes(id)
+  }
+
+  clearBurnTimers() {
+    for (const entry of this.state.burning.values()) clearInterval(entry.timer)
+    this.state.burning.clear()
+  }
+
+  // ── Edit & unsend ─────────────────────────────────────────────────────────
+
+  // Load one of our messages into the input; the next send replaces it.
+  startEdit(id) {
+    const message = this.state.messages.get(id)
+    if (!message || !message.isMine || message.removed || this.state.roomTerminated) return
+
+    this.state.editing = id
+    this.messageInputTarget.value = message.text
+    this.messageInputTarget.placeholder = "Edit message… (Esc to cancel)"
+    this.messageInputTarget.focus()
+  }
+
+  // Leave edit mode without changing the message.
+  cancelEdit() {
+    if (!this.state.editing) return
+
+    this.state.editing = null
+    this.messageInputTarget.value = ""
+    this.messageInputTarget.placeholder = "Type a message..."
+  }
+
+  async submitEdit(text) {
+    const id = this.state.editing
+    const message = this.state.messages.get(id)
+    this.cancelEdit()
+    if (!message || message.removed || text === message.text) return
+
+    try {
+      await this.sendEnvelope("edit", { target: id, text })
+      this.applyEdit(id, text)
+    } catch (error) {
+      console.error("Error editing message:", error)
+      this.showError("Failed to edit message")
+    }
+  }
+
+  // Retract one of our messages on both sides.
+  async unsendMessage(id) {
+    const message = this.state.messages.get(id)
+    if (!message || !message.isMine || message.removed) return
+
+    try {
+      await this.sendEnvelope("unsend", { target: id })
+      if (this.state.editing === id) this.cancelEdit()
+      this.applyUnsend(id)
+    } catch (error) {
+      console.error("Error unsending message:", error)
+      this.showError("Failed to unsend message")
+    }
+  }
+
+  // Peer edited one of its own messages.
+  handleEdit(envelope) {
+    const message = this.peerMessage(envelope.payload.target)
+    const safeText = this.normalizeChatText(envelope.payload.text)
+    if (message && safeText) this.applyEdit(envelope.payload.target, safeText)
+  }
+
+  // Peer retracted one of its own messages.
+  handleUnsend(envelope) {
+    if (this.peerMessage(envelope.payload.target)) this.applyUnsend(envelope.payload.target)
+  }
+
+  // A live message the peer sent: edits and unsends may only target those.
+  peerMessage(id) {
+    const message = typeof id === "string" ? this.state.messages.get(id) : null
+    return message && !message.isMine && !message.removed ? message : null
+  }
+
+  applyEdit(id, text) {
+    const message = this.state.messages.get(id)
+    if (!message || message.removed) return
+
+    message.text = text
+    this.renderRichText(text, message.textEl)
+    if (!message.editedEl) {
+      message.editedEl = document.createElement("span")
+      message.editedEl.className = "ml-2 italic opacity-60"
+      message.editedEl.textContent = "(edited)"
+      message.timestampEl.appendChild(message.editedEl)
+    }
+  }
+
+  // Replace the text with a tombstone; the bubble stays so the thread keeps its shape.
+  applyUnsend(id) {
+    const message = this.state.messages.get(id)
+    if (!message || message.removed) return
+
+    message.removed = true
+    const burning = this.state.burning.get(id)
+    if (burning) {
+      clearInterval(burning.timer)
+      burning.countdownEl.remove()
+      this.state.burning.delete(id)
+    }
+    message.actionsEl?.remove()
+    message.editedEl?.remove()
+    message.reactionsEl?.remove()
+    message.pickerEl?.remove()
+    message.text = null
+    message.textEl.textContent = "message removed"
+    message.textEl.classList.add("italic", "opacity-60")
+    this.eraseQuotes(id)
+  }
+
+  // Reply / react links on every bubble, plus edit / unsend on our own.
+  appendMessageActions(id, message) {
+    const actionsEl = document.createElement("span")
+    actionsEl.className = "ml-2 inline-flex gap-2"
+    actionsEl.appendChild(this.createActionButton("reply", () => this.startReply(id)))
+    actionsEl.appendChild(this.createActionButton("react", () => this.toggleReactionPicker(id)))
+    if (message.isMine) {
+      actionsEl.appendChild(this.createActionButton("edit", () => this.startEdit(id)))
+      actionsEl.appendChild(this.createActionButton("unsend", () => this.unsendMessage(id)))
+    }
+    message.timestampEl.appendChild(actionsEl)
+    message.actionsEl = actionsEl
+  }
+
+  // Small text button for actions on a chat message (reply, copy code…).
+  createActionButton(label, onClick) {
+    const buttonEl = document.createElement("button")
+    buttonEl.type = "button"
+    buttonEl.className = "text-white/40 hover:text-trace-white underline cursor-pointer"
+    buttonEl.textContent = label
+    buttonEl.addEventListener("click", onClick)
+    return buttonEl
+  }
+
+  // ── Replies ───────────────────────────────────────────────────────────────
+
+  // Quote a message in the next one we send.
+  startReply(id) {
+    const message = this.state.messages.get(id)
+    if (!message || message.removed || this.state.roomTerminated) return
+
+    this.state.replyTo = { id, snippet: this.replySnippet(message.text) }
+    if (this.hasReplyPreviewTarget) {
+      this.replyPreviewTextTarget.textContent = this.state.replyTo.snippet
+      this.replyPreviewTarget.classList.remove("hidden")
+    }
+    this.messageInputTarget.focus()
+  }
+
+  cancelReply() {
+    this.state.replyTo = null
+    if (this.hasReplyPreviewTarget) {
+      this.replyPreviewTarget.classList.add("hidden")
+      this.replyPreviewTextTarget.textContent = ""
+    }
+  }
+
+  replySnippet(text) {
+    const snippet = this.normalizeChatText(text)
+    return snippet.length > REPLY_SNIPPET_LENGTH ? `${snippet.slice(0, REPLY_SNIPPET_LENGTH - 1)}…` : snippet
+  }
+
+  // Validate a peer's reply reference; the snippet is plain text like any message.
+  normalizeReply(reply) {
+    if (!reply || typeof reply !== "object" || typeof reply.id !== "string" || reply.id.length > 64) return null
+
+    const snippet = this.replySnippet(reply.snippet)
+    return snippet ? { id: reply.id, snippet } : null
+  }
+
+  // Quote block shown above a reply's text.
+  createQuoteEl(reply) {
+    const quoteEl = document.createElement("div")
+    quoteEl.className = "mt-1 pl-2 border-l-2 border-white/20 text-white/50 truncate"
+    quoteEl.textContent = `↪ ${reply.snippet}`
+
+    if (!this.state.quotes.has(reply.id)) this.state.quotes.set(reply.id, new Set())
+    this.state.quotes.get(reply.id).add(quoteEl)
+    return quoteEl
+  }
+
+  // A quoted message burned or was unsent: its snippet goes too.
+  eraseQuotes(id) {
+    const quoteEls = this.state.quotes.get(id)
+    if (!quoteEls) return
+
+    for (const quoteEl of quoteEls) quoteEl.textContent = "↪ message removed"
+    this.state.quotes.delete(id)
+    if (this.state.replyTo?.id === id) this.cancelReply()
+  }
+
+  // ── Reactions ─────────────────────────────────────────────────────────────
+
+  toggleReactionPicker(id) {
+    const message = this.state.messages.get(id)
+    if (!message || message.removed) return
+
+    if (message.pickerEl) {
+      message.pickerEl.remove()
+      message.pickerEl = null
+      return
+    }
+
+    const pickerEl = document.createElement("div")
+    pickerEl.className = "mt-1 flex gap-1"
+    for (const emoji of REACTIONS) {
+      const buttonEl = document.createElement("button")
+      buttonEl.type = "button"
+      buttonEl.className = "px-1 rounded hover:bg-white/10 cursor-pointer"
+      buttonEl.textContent = emoji
+      buttonEl.addEventListener("click", () => {
+        this.toggleReactionPicker(id)
+        this.sendReaction(id, emoji)
+      })
+      pickerEl.appendChild(buttonEl)
+    }
+    message.messageEl.appendChild(pickerEl)
+    message.pickerEl = pickerEl
+  }
+
+  // Toggle our reaction on a message for both peers.
+  async sendReaction(id, emoji) {
+    const message = this.state.messages.get(id)
+    if (!message || message.removed) return
+
+    const on = !message.reactions?.get(emoji)?.has("me")
+    try {
+      await this.sendEnvelope("reaction", { target: id, emoji, on })
+      this.applyReaction(id, emoji, "me", on)
+    } catch (error) {
+      console.error("Error sending reaction:", error)
+      this.showError("Failed to send reaction")
+    }
+  }
+
+  // Peer reacted to (or withdrew a reaction from) one of the messages in the thread.
+  handleReaction(envelope) {
+    const { target, emoji, on } = envelope.payload
+    if (typeof target !== "string" || !REACTIONS.includes(emoji)) return
+    this.applyReaction(target, emoji, "peer", on === true)
+  }
+
+  applyReaction(id, emoji, who, on) {
+    const message = this.state.messages.get(id)
+    if (!message || message.removed) return
+
+    message.reactions ||= new Map() // emoji → Set of "me" / "peer"
+    const reactors = message.reactions.get(emoji) || new Set()
+    if (on) reactors.add(who)
+    else reactors.delete(who)
+
+    if (reactors.size > 0) message.reactions.set(emoji, reactors)
+    else message.reactions.delete(emoji)
+
+    this.renderReactions(id, message)
+  }
+
+  // Aggregated reaction chips under a bubble; ours are highlighted and clicking toggles ours.
+  renderReactions(id, message) {
+    if (!message.reactionsEl) {
+      message.reactionsEl = document.createElement("div")
+      message.reactionsEl.className = "mt-1 flex flex-wrap gap-1"
+      message.messageEl.appendChild(message.reactionsEl)
+    }
+    message.reactionsEl.textContent = ""
+
+    for (const emoji of REACTIONS) {
+      const reactors = message.reactions.get(emoji)
+      if (!reactors) continue
+
+      const chipEl = document.createElement("button")
+      chipEl.type = "button"
+      chipEl.className = `px-1.5 rounded-full border cursor-pointer ${
+        reactors.has("me") ? "border-white/40 bg-white/10" : "border-white/10"
+      }`
+      chipEl.textContent = reactors.size > 1 ? `${emoji} ${reactors.size}` : emoji
+      chipEl.addEventListener("click", () => this.sendReaction(id, emoji))
+      message.reactionsEl.appendChild(chipEl)
+    }
+  }
+
+  // ── Rich text ─────────────────────────────────────────────────────────────
+
+  // Render chat markup into `containerEl` by building DOM nodes; text only
+  // ever lands in textContent, never innerHTML.
+  renderRichText(text, containerEl) {
+    containerEl.textContent = ""
+
+    let last = 0
+    for (const match of text.matchAll(CODE_FENCE)) {
+      this.renderInline(text.slice(last, match.index), containerEl)
+      containerEl.appendChild(this.createCodeBlockEl(match[1].replace(/\n$/, "")))
+      last = match.index + match[0].length
+    }
+    this.renderInline(text.slice(last), containerEl)
+  }
+
+  renderInline(text, parentEl) {
+    let last = 0
+    for (const match of text.matchAll(INLINE_TOKEN)) {
+      const [token, code, bold, italic, url] = match
+      parentEl.append(text.slice(last, match.index))
+      last = match.index + token.length
+
+      if (code) {
+        const codeEl = document.createElement("code")
+        codeEl.className = "px-1 rounded bg-black/40"
+        codeEl.textContent = code
+        parentEl.appendChild(codeEl)
+      } else if (bold || italic) {
+        const el = document.createElement(bold ? "strong" : "em")
+        el.textContent = bold || italic
+        parentEl.appendChild(el)
+      } else {
+        const [href, trailing] = this.splitTrailingPunctuation(url)
+        parentEl.appendChild(this.createLinkEl(href))
+        parentEl.append(trailing)
+      }
+    }
+    parentEl.append(text.slice(last))
+  }
+
+  // Trailing punctuation usually ends the sentence, not the URL, except a ")"
+  // closing a "(" inside it (https://en.wikipedia.org/wiki/Foo_(bar)).
+  splitTrailingPunctuation(url) {
+    let trailing = url.match(URL_TRAILING_PUNCTUATION)?.[0] ?? ""
+    let href = url.slice(0, url.length - trailing.length)
+
+    const unclosed = (href.match(/\(/g) || []).length - (href.match(/\)/g) || []).length
+    if (unclosed > 0 && trailing.startsWith(")")) {
+      href += ")"
+      trailing = trailing.slice(1)
+    }
+    return [href, trailing]
+  }
+
+  // Fenced code block with a copy button.
+  createCodeBlockEl(code) {
+    const wrapperEl = document.createElement("div")
+    wrapperEl.className = "relative my-1"
+
+    const preEl = document.createElement("pre")
+    preEl.className = "p-2 pr-12 rounded bg-black/40 overflow-x-auto whitespace-pre"
+    const codeEl = document.createElement("code")
+    codeEl.textContent = code
+    preEl.appendChild(codeEl)
+
+    const copyEl = this.createActionButton("copy", () => {
+      navigator.clipboard?.writeText(code).then(() => {
+        copyEl.textContent = "✓ copied"
+        setTimeout(() => { copyEl.textContent = "copy" }, 2000)
+      }).catch(() => this.showError("Failed to copy code"))
+    })
+    copyEl.classList.add("absolute", "top-1", "right-2")
+
+    wrapperEl.appendChild(preEl)
+    wrapperEl.appendChild(copyEl)
+    return wrapperEl
+  }
+
+  // Links never navigate directly: clicking shows the full destination first.
+  // They are buttons without an href, so middle-click, modified clicks and the
+  // context menu cannot open them behind the prompt's back. Nothing is fetched
+  // for previews.
+  createLinkEl(href) {
+    let url
+    try {
+      url = new URL(href)
+    } catch {
+      return document.createTextNode(href)
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") return document.createTextNode(href)
+
+    const linkEl = document.createElement("button")
+    linkEl.type = "button"
+    linkEl.className = "inline underline break-all text-left cursor-pointer"
+    linkEl.textContent = href
+    linkEl.addEventListener("click", () => this.openLinkPrompt(url))
+    return linkEl
+  }
+
+  // Interstitial showing the full destination (host in punycode) before leaving the room.
+  openLinkPrompt(url) {
+    this.closeLinkPrompt()
+
+    const overlayEl = document.createElement("div")
+    overlayEl.className = "fixed inset-0 z-50 flex items-center justify-center bg-null-deep/80 backdrop-blur-sm px-4"
+    overlayEl.setAttribute("role", "dialog")
+    overlayEl.setAttribute("aria-label", "Open external link")
+
+    const panelEl = document.createElement("div")
+    panelEl.className = "glass w-full max-w-md p-6 space-y-4 text-sm font-sans text-trace-white"
+
+    const titleEl = document.createElement("h2")
+    titleEl.className = "text-base font-semibold"
+    titleEl.textContent = "Open external link?"
+
+    const hostEl = document.createElement("p")
+    hostEl.className = "text-secure-gray"
+    hostEl.append("This link leaves nullroom for ")
+    const hostNameEl = document.createElement("strong")
+    hostNameEl.className = "text-trace-white font-mono"
+    hostNameEl.textContent = url.hostname
+    hostEl.appendChild(hostNameEl)
+    hostEl.append(". Check the full address:")
+
+    const hrefEl = document.createElement("code")
+    hrefEl.className = "block p-2 rounded bg-black/40 font-mono text-xs break-all"
+    hrefEl.textContent = url.href
+
+    const actionsEl = document.createElement("div")
+    actionsEl.className = "flex justify-end gap-3"
+
+    const cancelEl = document.createElement("button")
+    cancelEl.type = "button"
+    cancelEl.className = "px-4 py-2 rounded-lg border border-white/10 text-secure-gray hover:text-trace-white cursor-pointer"
+    cancelEl.textContent = "Cancel"
+    cancelEl.addEventListener("click", () => this.closeLinkPrompt())
+
+    const openEl = document.createElement("a")
+    openEl.href = url.href
+    openEl.rel = "noopener noreferrer"
+    openEl.target = "_blank"
+    openEl.referrerPolicy = "no-referrer"
+    openEl.className = "px-4 py-2 rounded-lg bg-status-blue text-white hover:brightness-110"
+    openEl.textContent = "Open link"
+    openEl.addEventListener("click", () => this.closeLinkPrompt())
+
+    actionsEl.append(cancelEl, openEl)
+    panelEl.append(titleEl, hostEl, hrefEl, actionsEl)
+    overlayEl.appendChild(panelEl)
+    document.body.appendChild(overlayEl)
+
+    const onKeydown = (event) => {
+      if (event.key === "Escape") this.closeLinkPrompt()
+    }
+    overlayEl.addEventListener("click", (event) => {
+      if (event.target === overlayEl) this.closeLinkPrompt()
+    })
+    document.addEventListener("keydown", onKeydown)
+    this.state.linkPrompt = { overlayEl, onKeydown }
+    cancelEl.focus()
+  }
+
+  closeLinkPrompt() {
+    if (!this.state.linkPrompt) return
+    document.removeEventListener("keydown", this.state.linkPrompt.onKeydown)
+    this.state.linkPrompt.overlayEl.remove()
+    this.state.linkPrompt = null
   }
 
-  // Encrypt and send a message over the P2P data channel.
-  async sendMessage(event) {
-    if (event.type === "keydown" && event.key !== "Enter") return
-    if (event.type === "keydown") event.preventDefault()
+  // ── Receipts ──────────────────────────────────────────────────────────────
 
-    const input = this.messageInputTarget
-    const text = this.normalizeChatText(input.value)
+  // Acknowledge peer messages: "delivered" once decrypted, "read" once seen.
+  sendReceipt(status, ids) {
+    this.sendEnvelope("receipt", { status, ids }).catch((error) => {
+      devLog("[Room] Receipt not sent", error.message)
+    })
+  }
 
-    if (!text || this.state.roomTerminated || this.state.signaling) return
+  // Peer acknowledged some of our messages.
+  handleReceipt(envelope) {
+    const { status, ids } = envelope.payload
+    if (status !== "delivered" && status !== "read") return
+    if (!Array.isArray(ids)) return
 
-    try {
-      // Encrypt message
-      const encrypted = await encrypt(text, this.state.encryptionKey)
+    ids.slice(0, MAX_RECEIPT_IDS).forEach((id) => this.updateMessageStatus(String(id), status))
+  }
 
-      // Send via DataChannel (P2P, NOT ActionCable)
-      this.state.peer.send(encrypted)
+  // Move an outgoing message forward (sending → delivered → read), or mark it failed.
+  updateMessageStatus(id, status) {
+    const message = this.state.outgoing.get(id)
+    if (!message) return
 
-      // Display in UI immediately (optimistic)
-      this.displayMessage(text, true)
+    if (status === "failed") {
+      if (message.status !== "sending") return
+    } else if (MESSAGE_STATUS_RANK[status] <= MESSAGE_STATUS_RANK[message.status]) {
+      return
+    }
 
-      // Clear input
-      input.value = ""
-    } catch (error) {
-      console.error("Error sending message:", error)
-      this.showError("Failed to send message")
+    message.status = status
+    message.statusEl.textContent = {
+      delivered: "✓ delivered",
+      read: "✓✓ read",
+      failed: "✕ not delivered"
+    }[status]
+    message.statusEl.classList.toggle("text-red-400", status === "failed")
+
+    // Nothing further can happen to a read or failed message
+    if (status === "read" || status === "failed") this.state.outgoing.delete(id)
+  }
+
+  // The chat channel closed or dropped: whatever is still unacknowledged never arrived.
+  failPendingMessages() {
+    for (const [id, message] of this.state.outgoing) {
+      if (message.status === "sending") this.updateMessageStatus(id, "failed")
     }
   }
 
-  // Decrypt incoming P2P data and render it in the UI.
-  async handleIncomingMessage(encryptedString) {
-    try {
-      // Decrypt message
-      const plaintext = await decrypt(encryptedString.toString(), this.state.encryptionKey)
-      const safeText = this.normalizeChatText(plaintext)
+  // IntersectionObserver callback for unread peer messages.
+  trackOnScreen(entries) {
+    for (const entry of entries) {
+      const id = entry.target.dataset.messageId
+      if (entry.isIntersecting) this.state.onScreen.add(id)
+      else this.state.onScreen.delete(id)
+    }
+    this.flushReadReceipts()
+  }
 
-      // Display in UI
-      this.displayMessage(safeText, false)
-    } catch (error) {
-      console.error("Error decrypting message:", error)
-      this.showError("Failed to decrypt message")
+  // Send "read" for every unread message on screen, but only while the tab is visible.
+  flushReadReceipts() {
+    if (document.visibilityState !== "visible" || this.state.roomTerminated) return
+
+    const ids = [...this.state.onScreen].filter((id) => this.state.unread.has(id)).slice(0, MAX_RECEIPT_IDS)
+    if (ids.length === 0) return
+
+    for (const id of ids) {
+      this.readObserver.unobserve(this.state.unread.get(id))
+      this.state.unread.delete(id)
+      this.state.onScreen.delete(id)
     }
+    this.sendReceipt("read", ids)
+  }
+
+  // Show a version-mismatch notice once per room.
+  warnProtocolMismatch(message) {
+    if (this.state.protocolWarned) return
+    this.state.protocolWarned = true
+    this.displaySystemNotice(message)
+    this.showError(message)
+  }
+
+  // Render a neutral, centred notice line in the message thread.
+  displaySystemNotice(text) {
+    this.clearWaitingPlaceholder()
+
+    const noticeEl = document.createElement("div")
+    noticeEl.className = "px-3 py-2 text-xs font-mono text-center text-yellow-300/80 border border-yellow-700/40 rounded"
+    noticeEl.textContent = this.normalizeChatText(text)
+
+    this.messagesContainerTarget.appendChild(noticeEl)
+    this.messagesContainerTarget.scrollTop = this.messagesContainerTarget.scrollHeight
   }
 
   // Render a message bubble and auto-scroll the container.
-  displayMessage(text, isMine) {
+  // With an id, our own bubbles show a delivery status and the peer's are
+  // watched for read receipts; `burn` (seconds) removes the bubble afterwards
+  // and `reply` ({ id, snippet }) quotes an earlier message.
+  displayMessage(text, isMine, { id = null, burn = 0, reply = null } = {}) {
     this.clearWaitingPlaceholder()
 
     const safeText = this.normalizeChatText(text)
@@ -289,16 +1570,49 @@ export default class extends Controller {
     timestampEl.textContent = timestamp
 
     const textEl = document.createElement("div")
-    textEl.className = "mt-1 break-words"
-    textEl.textContent = safeText
+    textEl.className = "mt-1 break-words whitespace-pre-wrap"
+    this.renderRichText(safeText, textEl)
 
     messageEl.appendChild(timestampEl)
+    if (reply) messageEl.appendChild(this.createQuoteEl(reply))
     messageEl.appendChild(textEl)
 
+    if (id) {
+      const message = {
+        isMine, text: safeText, messageEl, textEl, timestampEl, removed: false,
+        editedEl: null, actionsEl: null, reactions: null, reactionsEl: null, pickerEl: null
+      }
+      this.state.messages.set(id, message)
+    }
+
+    if (id && isMine) {
+      const statusEl = document.createElement("span")
+      statusEl.className = "ml-2 text-green-500/60"
+      statusEl.textContent = "sending…"
+      timestampEl.appendChild(statusEl)
+      this.state.outgoing.set(id, { status: "sending", statusEl })
+    }
+
     this.messagesContainerTarget.appendChild(messageEl)
 
+    if (id && !isMine) {
+      messageEl.dataset.messageId = id
+      this.state.unread.set(id, messageEl)
+      this.readObserver.observe(messageEl)
+    }
+
+    if (id && burn > 0) {
+      const countdownEl = document.createElement("span")
+      countdownEl.className = "ml-2 text-orange-400"
+      timestampEl.appendChild(countdownEl)
+      this.startBurnTimer(id, messageEl, textEl, countdownEl, burn)
+    }
+
+    if (id) this.appendMessageActions(id, this.state.messages.get(id))
+
     // Auto-scroll to bottom
     this.messagesContainerTarget.scrollTop = this.messagesContainerTarget.scrollHeight
+    return messageEl
   }
 
   clearWaitingPlaceholder() {
@@ -311,7 +1625,25 @@ export default class extends Controller {
   // Handle peer disconnect by scrubbing UI and ending the session.
   handlePeerClosed() {
     this.state.roomTerminated = true
-    this.state.pendingFile    = null
+    clearTimeout(this.state.helloTimer)
+    clearTimeout(this.state.peerLeftTimer)
+    this.closeVerification()
+    this.hidePeerTyping()
+    this.clearBurnTimers()
+    this.readObserver.disconnect()
+    this.state.messages.clear()
+    this.state.editing = null
+    this.state.quotes.clear()
+    this.cancelReply()
+    this.closeLinkPrompt()
+    this.state.outgoing.clear()
+    this.state.unread.clear()
+    this.state.onScreen.clear()
+    this.state.pendingFiles.clear()
+    this.state.fileCards.clear()
+    this.state.fileDirectories.clear()
+    this.state.fileOffers.clear()
+    if (this.hasFileQueueTarget) this.fileQueueTarget.textContent = ""
 
     // Clear messages from DOM immediately
     this.messagesContainerTarget.textContent = ""
@@ -452,18 +1784,81 @@ export default class extends Controller {
     }
   }
 
-  /** Called when the user selects a file via the file picker. */
+  /** Open the directory picker (<input webkitdirectory>). */
+  triggerFolderInput() {
+    if (this.hasFolderInputTarget) {
+      this.folderInputTarget.click()
+    }
+  }
+
+  /** Called when the user selects one or more files via the file picker. */
   uploadFile(event) {
-    const file = event.target.files && event.target.files[0]
+    const files = Array.from(event.target.files || [])
     event.target.value = "" // reset so the same file can be re-selected
-    if (file) this._requestFileTransfer(file)
+    this._queueFiles(files.map((file) => ({ file, path: "" })))
+  }
+
+  /** Called when the user picks a folder; webkitRelativePath carries "folder/sub/name". */
+  uploadFolder(event) {
+    const files = Array.from(event.target.files || [])
+    event.target.value = ""
+    this._queueFiles(files.map((file) => ({
+      file,
+      path: (file.webkitRelativePath || "").split("/").slice(0, -1).join("/")
+    })))
   }
 
-  /** Called when the user drops a file onto the drop zone. */
+  /**
+   * Called when the user drops files and/or folders onto the drop zone.
+   * Entries must be taken from the DataTransfer synchronously; folders are
+   * then walked asynchronously.
+   */
   handleDrop(event) {
     event.preventDefault()
-    const file = event.dataTransfer && event.dataTransfer.files && event.dataTransfer.files[0]
-    if (file) this._requestFileTransfer(file)
+    const transfer = event.dataTransfer
+    if (!transfer) return
+
+    const entries = Array.from(transfer.items || [])
+      .filter((item) => item.kind === "file" && typeof item.webkitGetAsEntry === "function")
+      .map((item) => item.webkitGetAsEntry())
+      .filter(Boolean)
+
+    if (entries.length === 0) {
+      this._queueFiles(Array.from(transfer.files || []).map((file) => ({ file, path: "" })))
+      return
+    }
+
+    Promise.all(entries.map((entry) => this._readDroppedEntry(entry, "")))
+      .then((lists) => this._queueFiles(lists.flat()))
+      .catch((err) => {
+        console.error("[Room] Failed to read dropped folder:", err)
+        this.showError("Could not read the dropped folder.")
+      })
+  }
+
+  /**
+   * Flatten a dropped FileSystemEntry into `{ file, path }` items, where path is
+   * the folder the file sits in relative to the drop ("photos/2024").
+   */
+  async _readDroppedEntry(entry, parentPath) {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject))
+      return [{ file, path: parentPath }]
+    }
+    if (!entry.isDirectory) return []
+
+    const path = parentPath ? `${parentPath}/${entry.name}` : entry.name
+    const reader = entry.createReader()
+    const items = []
+    // readEntries() returns results in batches until it yields an empty one
+    for (;;) {
+      const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+      if (batch.length === 0) break
+      for (const child of batch) {
+        items.push(...await this._readDroppedEntry(child, path))
+      }
+    }
+    return items
   }
 
   /** Prevent the browser from navigating away on dragover. */
@@ -472,41 +1867,119 @@ export default class extends Controller {
   }
 
   /**
-   * Client-side size guard, then ask the server to authorise the transfer.
-   * Actual bytes travel P2P; the server only sees the metadata for the gate check.
+   * Client-side size guard, then ask the server to authorise each file.
+   * Every file gets its own transferId and progress card; authorised files are
+   * sent one after another. Actual bytes travel P2P; the server only sees the
+   * metadata for the gate check.
+   * @param {{file: File, path: string}[]} items
    */
-  _requestFileTransfer(file) {
+  _queueFiles(items) {
     if (this.state.roomTerminated || !this.state.p2p) return
-    if (file.size > this.state.fileSizeLimit) {
-      this.showError(`Files must be under ${this._fileSizeLimitLabel()}.`)
-      return
+
+    let oversized = 0
+    for (const { file, path } of items) {
+      if (file.size > this.state.fileSizeLimit) {
+        oversized++
+        continue
+      }
+
+      const transferId = crypto.randomUUID()
+      this.state.pendingFiles.set(transferId, { file, path })
+      this._createFileCard(transferId, { name: file.name, path, incoming: false })
+
+      if (this.channel) {
+        this.channel.perform("initiate_file_transfer", {
+          metadata: { file_name: file.name, file_size: file.size, transfer_id: transferId }
+        })
+      }
     }
-    // Store the file and ask the server gate
-    this.state.pendingFile = file
-    if (this.channel) {
-      this.channel.perform("initiate_file_transfer", {
-        metadata: { file_name: file.name, file_size: file.size }
-      })
+
+    if (oversized > 0) {
+      const what = oversized === 1 ? "1 file was" : `${oversized} files were`
+      this.showError(`${what} skipped: files must be under ${this._fileSizeLimitLabel()}.`)
     }
   }
 
+  /**
+   * Hand an authorised file to the sender's queue.
+   * On success a sent-confirmation bubble is shown; the sender already has the
+   * file locally so no download link is needed.
+   */
+  _sendQueuedFile(transferId, { file, path }) {
+    this.sender.send(file, { transferId, path }).then((result) => {
+      if (!result) {
+        this._finishFileCard(transferId, "failed", false)
+        return
+      }
+      if (result.cancelled) {
+        this._finishFileCard(transferId, "cancelled", false)
+        this.appendFileCancelled({
+          name: file.name, path, size: file.size, isSent: true,
+          reason: result.by === "peer" ? "cancelled by peer" : "cancelled"
+        })
+        return
+      }
+      if (result.declined) {
+        this._finishFileCard(transferId, result.expired ? "no answer" : "declined", false)
+        this.appendFileCancelled({
+          name: file.name, path, size: file.size, isSent: true,
+          reason: result.expired ? "peer did not accept in time" : "declined by peer"
+        })
+        return
+      }
+      this._finishFileCard(transferId, "sent", true)
+      this.appendFileDownload({ name: file.name, path, url: null, size: file.size, isSent: true, sha256: result.sha256 })
+    }).catch((err) => {
+      console.error("[Room] File send error:", err)
+      this._finishFileCard(transferId, "failed", false)
+      this.showError("File transfer failed.")
+    })
+  }
+
   /** Instantiate sender + receiver and reveal the file zone after P2P connects. */
   _initFileTransfer() {
-    const encryptFn = (buf) => encryptBuffer(buf, this.state.encryptionKey)
-    const decryptFn = (buf) => decryptBuffer(buf, this.state.encryptionKey)
+    // File sharing starts only once the session key exists (see maybeEnableChat)
+    const encryptFn = (buf, aad) => encryptBuffer(buf, this.state.sessionKey, aad)
+    const decryptFn = (buf, aad) => decryptBuffer(buf, this.state.sessionKey, aad)
 
     this.sender = new FileTransferSender(
       this.state.peer,
       encryptFn,
-      (name, percent) => this.updateFileProgress(name, percent),
-      (msg) => this.showError(msg)
+      (name, percent, transferId) => this.updateFileProgress(transferId, percent, "sending"),
+      (msg) => this.showError(msg),
+      {
+        onOffered: (transferId) => this._setFileCardStatus(transferId, "waiting for peer…"),
+        onStateChange: (change) => this._updateFilePause(change)
+      }
     )
     this.sender.setFileSizeLimit(this.state.fileSizeLimit)
 
     this.receiver = new FileTransferReceiver(
       decryptFn,
-      (name, percent) => this.updateFileProgress(name, percent),
-      (file) => this.appendFileDownload(file)
+      (name, percent, transferId) => this.updateFileProgress(transferId, percent, "receiving"),
+      (file) => {
+        this._finishFileCard(file.transferId, "received", true)
+        this.appendFileDownload(file)
+      },
+      {
+        onOffer: (meta) => this.appendFileOffer(meta),
+        createSink: (meta) => this._openFileSink(meta),
+        sendControl: (frame) => this.state.peer.sendFile(frame),
+        onFailed: (file) => {
+          this._finishFileCard(file.transferId, "failed", false)
+          this.appendFileFailed(file)
+        },
+        onCancelled: (file) => {
+          // An offer nobody answered yet just gets marked on its card
+          if (this.state.fileOffers.has(file.transferId)) {
+            this._settleFileOffer(file.transferId, "✕ withdrawn by peer")
+            return
+          }
+          this._finishFileCard(file.transferId, "cancelled", false)
+          this.appendFileCancelled({ ...file, isSent: false, reason: file.by === "peer" ? "cancelled by peer" : "cancelled" })
+        },
+        onStateChange: (change) => this._updateFilePause(change)
+      }
     )
 
     // Reveal the file drop zone
@@ -515,36 +1988,276 @@ export default class extends Controller {
     }
   }
 
-  /** Update the progress bar and label. Hides the bar once transfer completes. */
-  updateFileProgress(name, percent) {
-    if (!this.hasFileProgressTarget) return
+  /**
+   * Pick where an accepted file is written. Runs inside the Accept click, so
+   * the File System Access pickers get their user gesture; other browsers
+   * stream straight into a download. Small images, PDFs and text files stay
+   * in memory instead so they can be previewed inline.
+   *
+   * Files from a folder are written below a directory the user picks once per
+   * top-level folder, recreating the relative structure — previewable or not,
+   * so the folder arrives complete. Without directory access the path is
+   * folded into the download name instead.
+   */
+  _openFileSink(meta) {
+    let opening
+    if (meta.path.length > 0 && FileSystemSink.supportsDirectories()) {
+      const root = this.state.fileDirectories.get(meta.path[0])
+      opening = root
+        ? FileSystemSink.openInDirectory(root, meta.path, meta.name)
+        : FileSystemSink.pickDirectory().then((picked) => {
+          this.state.fileDirectories.set(meta.path[0], picked)
+          return FileSystemSink.openInDirectory(picked, meta.path, meta.name)
+        })
+    } else if (isDisplayableMimeType(meta.mimeType) && meta.size <= INLINE_PREVIEW_LIMIT) {
+      opening = Promise.resolve(new MemorySink(meta))
+    } else if (FileSystemSink.isSupported()) {
+      opening = FileSystemSink.open({ ...meta, name: downloadName(meta) })
+    } else {
+      opening = openFallbackSink(meta)
+    }
 
-    this.fileProgressTarget.classList.remove("hidden")
-    this.fileProgressBarTarget.style.width = `${percent}%`
-    this.fileProgressLabelTarget.textContent =
-      percent < 100 ? `${name} — ${percent}%` : `${name} — complete`
+    return opening.then((sink) => {
+      this._createFileCard(meta.transferId, { name: meta.name, path: meta.path.join("/"), incoming: true })
+      return sink
+    })
+  }
 
-    if (percent >= 100) {
-      setTimeout(() => {
-        if (this.hasFileProgressTarget) {
-          this.fileProgressTarget.classList.add("hidden")
-          this.fileProgressBarTarget.style.width = "0%"
-        }
-      }, 1500)
+  /**
+   * Render an "incoming file" card for an offer: name, size and the sender's
+   * declared type, with Accept / Decline. Nothing is transferred until Accept.
+   */
+  appendFileOffer(meta) {
+    this.clearWaitingPlaceholder()
+
+    const el = document.createElement("div")
+    el.className = "px-3 py-2 text-xs font-mono bg-blue-900 bg-opacity-20 text-blue-300 mr-8"
+
+    const labelEl = document.createElement("div")
+    labelEl.className = "text-blue-400 text-xs"
+    labelEl.textContent = "incoming file"
+
+    const rowEl = document.createElement("div")
+    rowEl.className = "mt-1 flex items-center gap-2 break-all"
+    rowEl.appendChild(this.createPaperclipIcon())
+
+    const fileNameEl = document.createElement("span")
+    fileNameEl.textContent = this.displayFileName(meta.name, meta.path.join("/"))
+
+    const sizeEl = document.createElement("span")
+    sizeEl.className = "text-white/40"
+    sizeEl.textContent = `(${this.formatFileSize(this.normalizeFileSize(meta.size))})`
+
+    rowEl.appendChild(fileNameEl)
+    rowEl.appendChild(sizeEl)
+
+    const typeEl = document.createElement("div")
+    typeEl.className = "mt-1 text-white/40"
+    typeEl.textContent = meta.declaredType || "unknown type"
+
+    const actionsEl = document.createElement("div")
+    actionsEl.className = "mt-2 flex gap-2"
+
+    const acceptEl = document.createElement("button")
+    acceptEl.type = "button"
+    acceptEl.className = "px-3 py-1 rounded border border-blue-700/60 text-blue-200 hover:bg-blue-950/50 cursor-pointer"
+    acceptEl.textContent = "Accept"
+
+    const declineEl = document.createElement("button")
+    declineEl.type = "button"
+    declineEl.className = "px-3 py-1 rounded border border-white/20 text-white/60 hover:bg-white/5 cursor-pointer"
+    declineEl.textContent = "Decline"
+
+    actionsEl.appendChild(acceptEl)
+    actionsEl.appendChild(declineEl)
+
+    el.appendChild(labelEl)
+    el.appendChild(rowEl)
+    el.appendChild(typeEl)
+    el.appendChild(actionsEl)
+    this.messagesContainerTarget.appendChild(el)
+    this.messagesContainerTarget.scrollTop = this.messagesContainerTarget.scrollHeight
+
+    this.state.fileOffers.set(meta.transferId, { el, actionsEl })
+
+    acceptEl.addEventListener("click", () => {
+      acceptEl.disabled = true
+      declineEl.disabled = true
+      // Called synchronously so a save picker still sees the click
+      this.receiver.accept(meta.transferId).then((accepted) => {
+        this._settleFileOffer(meta.transferId, accepted ? "✓ accepted" : "✕ not saved — declined")
+      })
+    }, { once: true })
+
+    declineEl.addEventListener("click", () => {
+      this.receiver.decline(meta.transferId)
+      this._settleFileOffer(meta.transferId, "✕ declined")
+    }, { once: true })
+  }
+
+  /** Replace an offer card's buttons with the outcome. */
+  _settleFileOffer(transferId, outcome) {
+    const offer = this.state.fileOffers.get(transferId)
+    if (!offer) return
+    this.state.fileOffers.delete(transferId)
+
+    const outcomeEl = document.createElement("div")
+    outcomeEl.className = "mt-2 text-white/40"
+    outcomeEl.textContent = outcome
+    offer.actionsEl.replaceWith(outcomeEl)
+  }
+
+  /**
+   * Add a progress card for one file to the queue list (no-op if it exists).
+   * Outgoing cards start as "queued" until the sender reaches them; the pause
+   * button appears once bytes are moving, cancel is available throughout.
+   */
+  _createFileCard(transferId, { name, path, incoming }) {
+    if (!this.hasFileQueueTarget || this.state.fileCards.has(transferId)) return
+
+    const el = document.createElement("li")
+    el.className = "space-y-1"
+
+    const rowEl = document.createElement("div")
+    rowEl.className = "flex items-center justify-between gap-2 text-xs font-mono text-secure-gray"
+
+    const nameEl = document.createElement("span")
+    nameEl.className = "truncate"
+    nameEl.textContent = `${incoming ? "↓" : "↑"} ${this.displayFileName(name, path)}`
+
+    const statusEl = document.createElement("span")
+    statusEl.className = "shrink-0 text-white/40"
+    statusEl.textContent = incoming ? "incoming" : "queued"
+
+    const pauseEl = this._createFileCardButton("pause", () => this._toggleFilePause(transferId))
+    pauseEl.classList.add("hidden")
+    const cancelEl = this._createFileCardButton("cancel", () => this._cancelFile(transferId))
+
+    rowEl.appendChild(nameEl)
+    rowEl.appendChild(statusEl)
+    rowEl.appendChild(pauseEl)
+    rowEl.appendChild(cancelEl)
+
+    const trackEl = document.createElement("div")
+    trackEl.className = "h-1 bg-white/10 rounded-full overflow-hidden"
+    const barEl = document.createElement("div")
+    barEl.className = "h-full bg-status-blue rounded-full transition-all duration-200"
+    barEl.style.width = "0%"
+    trackEl.appendChild(barEl)
+
+    el.appendChild(rowEl)
+    el.appendChild(trackEl)
+    this.fileQueueTarget.appendChild(el)
+
+    this.state.fileCards.set(transferId, {
+      el, barEl, statusEl, pauseEl, cancelEl, incoming,
+      pausedBy: new Set() // "local" / "peer"
+    })
+  }
+
+  _createFileCardButton(label, onClick) {
+    const buttonEl = document.createElement("button")
+    buttonEl.type = "button"
+    buttonEl.className = "shrink-0 text-white/40 hover:text-trace-white underline cursor-pointer"
+    buttonEl.textContent = label
+    buttonEl.addEventListener("click", onClick)
+    return buttonEl
+  }
+
+  /** Update a file's progress bar and status ("sending 42%"). */
+  updateFileProgress(transferId, percent, verb) {
+    const card = this.state.fileCards.get(transferId)
+    if (!card) return
+
+    card.barEl.style.width = `${percent}%`
+    if (percent < 100) card.pauseEl.classList.remove("hidden")
+    else card.pauseEl.classList.add("hidden")
+    // Chunks already in flight keep landing after a pause; keep saying so
+    if (card.pausedBy.size > 0) return
+    card.statusEl.textContent = percent < 100 ? `${verb} ${percent}%` : "verifying…"
+  }
+
+  _setFileCardStatus(transferId, status) {
+    const card = this.state.fileCards.get(transferId)
+    if (card) card.statusEl.textContent = status
+  }
+
+  /** Pause or resume the transfer behind a card, whichever direction it runs. */
+  _toggleFilePause(transferId) {
+    const card = this.state.fileCards.get(transferId)
+    if (!card) return
+
+    const engine = card.incoming ? this.receiver : this.sender
+    if (!engine) return
+    if (card.pausedBy.has("local")) engine.resume(transferId)
+    else engine.pause(transferId)
+  }
+
+  /** Reflect a pause/resume from either peer on the card. */
+  _updateFilePause({ transferId, paused, by }) {
+    const card = this.state.fileCards.get(transferId)
+    if (!card) return
+
+    if (paused) card.pausedBy.add(by)
+    else card.pausedBy.delete(by)
+
+    card.pauseEl.textContent = card.pausedBy.has("local") ? "resume" : "pause"
+    if (card.pausedBy.has("local")) card.statusEl.textContent = "paused"
+    else if (card.pausedBy.has("peer")) card.statusEl.textContent = "paused by peer"
+    else card.statusEl.textContent = card.incoming ? "receiving…" : "sending…"
+  }
+
+  /**
+   * Cancel the transfer behind a card. Files still waiting for the server
+   * gate are dropped locally; everything else goes through the sender or
+   * receiver so the peer is told as well.
+   */
+  _cancelFile(transferId) {
+    const card = this.state.fileCards.get(transferId)
+    if (!card) return
+
+    if (card.incoming) {
+      if (this.receiver) this.receiver.cancel(transferId)
+    } else if (this.state.pendingFiles.delete(transferId)) {
+      this._finishFileCard(transferId, "cancelled", false)
+    } else if (this.sender) {
+      this.sender.cancel(transferId)
     }
   }
 
+  /** Mark a card finished and drop it from the list shortly after. */
+  _finishFileCard(transferId, status, ok) {
+    const card = this.state.fileCards.get(transferId)
+    if (!card) return
+    this.state.fileCards.delete(transferId)
+
+    card.pauseEl.remove()
+    card.cancelEl.remove()
+
+    card.statusEl.textContent = ok ? `✓ ${status}` : `✕ ${status}`
+    card.statusEl.classList.add(ok ? "text-green-400" : "text-red-400")
+    if (ok) card.barEl.style.width = "100%"
+    else card.barEl.classList.replace("bg-status-blue", "bg-red-500")
+
+    setTimeout(() => card.el.remove(), ok ? 1500 : 5000)
+  }
+
   /**
    * Append a file bubble to the message thread.
    * Sent files (isSent=true) render as outgoing (green, right-aligned, no download link).
-   * Received files render as incoming (blue, left-aligned, clickable download link).
-   * @param {{name: string, url: string|null, size: number, isSent?: boolean}} fileInfo
+   * Received files render as incoming (blue, left-aligned, clickable download link),
+   * or with a saved marker when they were streamed straight to disk (saved=true).
+   * Both sides show the verified SHA-256 digest underneath, and files from a
+   * folder show their relative path. Received images, PDFs and text with a
+   * blob URL are previewed inline below the link; a file whose content did
+   * not match its claimed type gets a warning instead.
+   * @param {{name: string, path?: string, url: string|null, blob?: Blob, size: number, mimeType?: string, typeMismatch?: {claimed: string, detected: string|null}, isSent?: boolean, saved?: boolean, sha256?: string}} fileInfo
    */
-  appendFileDownload({ name, url, size, isSent = false }) {
+  appendFileDownload({ name, path = "", url, blob = null, size, mimeType = "", typeMismatch = null, isSent = false, saved = false, sha256 = null }) {
     this.clearWaitingPlaceholder()
 
     const timestamp = new Date().toLocaleTimeString()
-    const safeName = this.normalizeFileName(name)
+    const safeName = this.displayFileName(name, path)
     const safeSize = this.normalizeFileSize(size)
 
     const el = document.createElement("div")
@@ -576,6 +2289,34 @@ export default class extends Controller {
       rowEl.appendChild(sizeEl)
       rowEl.appendChild(sentEl)
 
+      timestampEl.textContent = timestamp
+      el.appendChild(timestampEl)
+      el.appendChild(rowEl)
+    } else if (saved) {
+      // Incoming, already written to disk: nothing left to download
+      el.className = "px-3 py-2 text-xs font-mono bg-blue-900 bg-opacity-20 text-blue-300 mr-8"
+      timestampEl.className = "text-blue-400 text-xs"
+
+      const rowEl = document.createElement("div")
+      rowEl.className = "mt-1 flex items-center gap-2 break-all"
+
+      rowEl.appendChild(this.createPaperclipIcon())
+
+      const fileNameEl = document.createElement("span")
+      fileNameEl.textContent = safeName
+
+      const sizeEl = document.createElement("span")
+      sizeEl.className = "text-white/40"
+      sizeEl.textContent = `(${this.formatFileSize(safeSize)})`
+
+      const savedEl = document.createElement("span")
+      savedEl.className = "text-blue-500/60 text-xs ml-1"
+      savedEl.textContent = "✓ saved to disk"
+
+      rowEl.appendChild(fileNameEl)
+      rowEl.appendChild(sizeEl)
+      rowEl.appendChild(savedEl)
+
       timestampEl.textContent = timestamp
       el.appendChild(timestampEl)
       el.appendChild(rowEl)
@@ -586,7 +2327,7 @@ export default class extends Controller {
 
       const linkEl = document.createElement("a")
       linkEl.className = "mt-1 flex items-center gap-2 underline hover:text-blue-200 break-all"
-      linkEl.download = safeName
+      linkEl.download = downloadName({ name: this.normalizeFileName(name), path: this.normalizeFilePath(path) })
       if (typeof url === "string" && url.startsWith("blob:")) {
         linkEl.href = url
         this.state.objectUrls.add(url)
@@ -610,12 +2351,209 @@ export default class extends Controller {
       timestampEl.textContent = timestamp
       el.appendChild(timestampEl)
       el.appendChild(linkEl)
+
+      if (linkEl.href.startsWith("blob:")) {
+        const previewEl = this.createFilePreviewEl({ url, blob, mimeType, name: safeName })
+        if (previewEl) el.appendChild(previewEl)
+      }
     }
 
+    const warningEl = this.createTypeWarningEl(typeMismatch)
+    if (warningEl) el.appendChild(warningEl)
+
+    const digestEl = this.createDigestEl(sha256)
+    if (digestEl) el.appendChild(digestEl)
+
+    this.messagesContainerTarget.appendChild(el)
+    this.messagesContainerTarget.scrollTop = this.messagesContainerTarget.scrollHeight
+  }
+
+  /**
+   * Append a failed-transfer bubble (missing chunks, digest mismatch, …).
+   * Nothing is offered for download: the partial file has been discarded.
+   * @param {{name: string, path?: string, size: number, reason: string}} fileInfo
+   */
+  appendFileFailed({ name, path = "", size, reason }) {
+    this.clearWaitingPlaceholder()
+
+    const el = document.createElement("div")
+    el.className = "px-3 py-2 text-xs font-mono bg-red-950/40 border border-red-800/60 text-red-300 mr-8"
+
+    const timestampEl = document.createElement("div")
+    timestampEl.className = "text-red-400 text-xs"
+    timestampEl.textContent = new Date().toLocaleTimeString()
+
+    const rowEl = document.createElement("div")
+    rowEl.className = "mt-1 flex items-center gap-2 break-all line-through"
+
+    rowEl.appendChild(this.createPaperclipIcon())
+
+    const fileNameEl = document.createElement("span")
+    fileNameEl.textContent = this.displayFileName(name, path)
+
+    const sizeEl = document.createElement("span")
+    sizeEl.className = "text-white/40"
+    sizeEl.textContent = `(${this.formatFileSize(this.normalizeFileSize(size))})`
+
+    rowEl.appendChild(fileNameEl)
+    rowEl.appendChild(sizeEl)
+
+    const reasonEl = document.createElement("div")
+    reasonEl.className = "mt-1"
+    reasonEl.textContent = `✕ transfer failed — ${this.normalizeChatText(reason).slice(0, 200)}`
+
+    el.appendChild(timestampEl)
+    el.appendChild(rowEl)
+    el.appendChild(reasonEl)
+
+    this.messagesContainerTarget.appendChild(el)
+    this.messagesContainerTarget.scrollTop = this.messagesContainerTarget.scrollHeight
+  }
+
+  /**
+   * Append a bubble for a file that was cancelled or declined, on the side it
+   * was travelling from. Whatever had been received is already discarded.
+   * @param {{name: string, path?: string, size: number, isSent: boolean, reason: string}} fileInfo
+   */
+  appendFileCancelled({ name, path = "", size, isSent, reason }) {
+    this.clearWaitingPlaceholder()
+
+    const el = document.createElement("div")
+    el.className = isSent
+      ? "px-3 py-2 text-xs font-mono bg-white/5 text-secure-gray ml-8"
+      : "px-3 py-2 text-xs font-mono bg-white/5 text-secure-gray mr-8"
+
+    const timestampEl = document.createElement("div")
+    timestampEl.className = "text-white/40 text-xs"
+    timestampEl.textContent = new Date().toLocaleTimeString()
+
+    const rowEl = document.createElement("div")
+    rowEl.className = "mt-1 flex items-center gap-2 break-all line-through"
+
+    rowEl.appendChild(this.createPaperclipIcon())
+
+    const fileNameEl = document.createElement("span")
+    fileNameEl.textContent = this.displayFileName(name, path)
+
+    const sizeEl = document.createElement("span")
+    sizeEl.className = "text-white/40"
+    sizeEl.textContent = `(${this.formatFileSize(this.normalizeFileSize(size))})`
+
+    rowEl.appendChild(fileNameEl)
+    rowEl.appendChild(sizeEl)
+
+    const reasonEl = document.createElement("div")
+    reasonEl.className = "mt-1"
+    reasonEl.textContent = `✕ ${reason}`
+
+    el.appendChild(timestampEl)
+    el.appendChild(rowEl)
+    el.appendChild(reasonEl)
+
     this.messagesContainerTarget.appendChild(el)
     this.messagesContainerTarget.scrollTop = this.messagesContainerTarget.scrollHeight
   }
 
+  /**
+   * Inline preview for a received file, rendered from its blob URL:
+   * image thumbnail (click for a lightbox), sandboxed PDF frame, or the start
+   * of a text file in a scrollable monospace block. Returns null for anything
+   * else. The URL is revoked with the others when the room ends.
+   */
+  createFilePreviewEl({ url, blob, mimeType, name }) {
+    if (!isDisplayableMimeType(mimeType)) return null
+
+    if (mimeType.startsWith("image/")) {
+      const imgEl = document.createElement("img")
+      imgEl.src = url
+      imgEl.alt = name
+      imgEl.decoding = "async"
+      imgEl.className = "mt-2 max-h-48 max-w-full rounded border border-white/10 cursor-zoom-in"
+      imgEl.addEventListener("click", () => this.openLightbox(url, name))
+      return imgEl
+    }
+
+    if (mimeType === "application/pdf") {
+      // Empty sandbox: no scripts, no same-origin access. Browsers that refuse
+      // to render PDFs in a sandboxed frame still have the download link.
+      const frameEl = document.createElement("iframe")
+      frameEl.src = url
+      frameEl.title = name
+      frameEl.setAttribute("sandbox", "")
+      frameEl.className = "mt-2 w-full h-96 rounded border border-white/10 bg-white"
+      return frameEl
+    }
+
+    if (mimeType === "text/plain" && blob) {
+      const preEl = document.createElement("pre")
+      preEl.className = "mt-2 max-h-64 overflow-auto whitespace-pre-wrap break-words p-2 rounded bg-black/40 text-trace-white"
+      preEl.textContent = "…"
+      // Only the first 64 KB; the full file is behind the download link
+      blob.slice(0, 65_536).text().then((text) => {
+        preEl.textContent = blob.size > 65_536 ? `${text}\n…` : text
+      }).catch(() => preEl.remove())
+      return preEl
+    }
+
+    return null
+  }
+
+  /** Show a received image full-size over the room; click or Escape closes it. */
+  openLightbox(url, name) {
+    this.closeLightbox()
+
+    const overlayEl = document.createElement("div")
+    overlayEl.className = "fixed inset-0 z-50 flex items-center justify-center bg-black/90 p-4 cursor-zoom-out"
+    overlayEl.setAttribute("role", "dialog")
+    overlayEl.setAttribute("aria-label", name)
+
+    const imgEl = document.createElement("img")
+    imgEl.src = url
+    imgEl.alt = name
+    imgEl.className = "max-h-full max-w-full"
+
+    overlayEl.appendChild(imgEl)
+    document.body.appendChild(overlayEl)
+
+    const onKeydown = (event) => {
+      if (event.key === "Escape") this.closeLightbox()
+    }
+    overlayEl.addEventListener("click", () => this.closeLightbox())
+    document.addEventListener("keydown", onKeydown)
+    this.state.lightbox = { overlayEl, onKeydown }
+  }
+
+  closeLightbox() {
+    if (!this.state.lightbox) return
+    document.removeEventListener("keydown", this.state.lightbox.onKeydown)
+    this.state.lightbox.overlayEl.remove()
+    this.state.lightbox = null
+  }
+
+  /** Warning line for a received file whose bytes did not match the type the sender claimed. */
+  createTypeWarningEl(typeMismatch) {
+    if (!typeMismatch) return null
+
+    const claimed  = this.normalizeChatText(typeMismatch.claimed).slice(0, 100)
+    const detected = typeMismatch.detected ? this.normalizeChatText(typeMismatch.detected).slice(0, 100) : "an unrecognised format"
+
+    const warningEl = document.createElement("div")
+    warningEl.className = "mt-1 text-yellow-400"
+    warningEl.textContent = `⚠ labelled ${claimed} but the content looks like ${detected} — not previewed, treat with care`
+    return warningEl
+  }
+
+  /** Small monospace line with the verified SHA-256 (full value, selectable for out-of-band checks). */
+  createDigestEl(sha256) {
+    if (typeof sha256 !== "string" || !/^[0-9a-f]{64}$/.test(sha256)) return null
+
+    const digestEl = document.createElement("div")
+    digestEl.className = "mt-1 text-white/30 break-all select-all"
+    digestEl.title = "SHA-256 verified end-to-end"
+    digestEl.textContent = `sha256 ${sha256}`
+    return digestEl
+  }
+
   /** Format bytes into a human-readable string (KB / MB). */
   formatFileSize(bytes) {
     if (bytes < 1024)          return `${bytes} B`
@@ -650,6 +2588,19 @@ export default class extends Controller {
     return (normalized || fallback).slice(0, 255)
   }
 
+  // Split a relative folder path into safe segments (no "." / ".." / empties).
+  normalizeFilePath(value) {
+    return String(value ?? "")
+      .split(/[\\/]+/)
+      .filter((segment) => segment && segment !== "." && segment !== "..")
+      .map((segment) => this.normalizeFileName(segment))
+  }
+
+  // "folder/sub/name.ext" for display; just the name for loose files.
+  displayFileName(name, path) {
+    return [...this.normalizeFilePath(path), this.normalizeFileName(name)].join("/")
+  }
+
   normalizeFileSize(value) {
     const parsed = Number(value)
     if (!Number.isFinite(parsed) || parsed < 0) return 0
@@ -680,6 +2631,12 @@ export default class extends Controller {
     if (this.state.timerInterval) {
       clearInterval(this.state.timerInterval)
     }
+    clearTimeout(this.state.helloTimer)
+    clearTimeout(this.state.typingTimer)
+    clearTimeout(this.state.peerLeftTimer)
+    this.clearBurnTimers()
+    this.closeLinkPrompt()
+    this.readObserver.disconnect()
 
     if (this.state.peer) {
       this.state.peer.destroy()
@@ -693,6 +2650,7 @@ export default class extends Controller {
   }
 
   revokeObjectUrls() {
+    this.closeLightbox() // it shows one of them
     for (const url of this.state.objectUrls) {
       URL.revokeObjectURL(url)
     }
@@ -0,0 +1,54 @@
+/**
+ * Content sniffing for files received over P2P.
+ *
+ * The sending peer's declared MIME type is only a claim. Before a received
+ * file is previewed inline, its first bytes are matched against the
+ * signatures of the types nullroom renders (PNG, JPEG, WebP, PDF, UTF-8
+ * text); anything that does not match its claim is treated as a generic
+ * binary file.
+ */
+
+const SIGNATURES = [
+  { type: "image/png",       bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { type: "image/jpeg",      bytes: [0xFF, 0xD8, 0xFF] },
+  { type: "application/pdf", bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] } // "%PDF-"
+]
+
+// Control characters that never appear in plain text (tab, LF, FF, CR and ESC are allowed)
+const BINARY_CONTROL = /[\u0000-\u0008\u000B\u000E-\u001A\u001C-\u001F\u007F]/
+
+function startsWith(bytes, signature, offset = 0) {
+  if (bytes.length < offset + signature.length) return false
+  return signature.every((byte, i) => bytes[offset + i] === byte)
+}
+
+function isWebP(bytes) {
+  // "RIFF" <size> "WEBP"
+  return startsWith(bytes, [0x52, 0x49, 0x46, 0x46]) && startsWith(bytes, [0x57, 0x45, 0x42, 0x50], 8)
+}
+
+function isUtf8Text(bytes) {
+  let text
+  try {
+    // stream: true tolerates a multi-byte character cut off at the end of the sample
+    text = new TextDecoder("utf-8", { fatal: true }).decode(bytes, { stream: true })
+  } catch {
+    return false
+  }
+  return !BINARY_CONTROL.test(text)
+}
+
+/**
+ * Detect the type of a file from its first bytes.
+ * @param {ArrayBuffer|Uint8Array} sample start of the file (the first chunk)
+ * @returns {string|null} one of the recognised MIME types, or null
+ */
+export function sniffMimeType(sample) {
+  const bytes = sample instanceof Uint8Array ? sample : new Uint8Array(sample)
+
+  const match = SIGNATURES.find(({ bytes: signature }) => startsWith(bytes, signature))
+  if (match) return match.type
+  if (isWebP(bytes)) return "image/webp"
+  if (bytes.length > 0 && isUtf8Text(bytes)) return "text/plain"
+  return null
+}
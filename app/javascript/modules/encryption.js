@@ -3,11 +3,36 @@
  * All encryption/decryption happens in the browser
  */
 
+/** Version byte leading the key fragment. */
+export const KEY_FORMAT_VERSION = 1
+
+/**
+ * Version byte of a passphrase room's fragment: the 32 bytes are not the key
+ * itself but a secret that only yields the key together with the passphrase.
+ */
+export const KEY_FORMAT_PASSPHRASE = 2
+
+/** PBKDF2-SHA256 work factor for passphrases (OWASP 2023 recommendation). */
+export const PASSPHRASE_ITERATIONS = 600_000
+
+const RAW_KEY_LENGTH   = 32 // AES-256
+const BASE64URL_FORMAT = /^[A-Za-z0-9_-]+$/
+const LEGACY_PREFIX    = "eyJ" // base64 of '{"', how every legacy JWK fragment starts
+
 /**
- * Generate an AES-GCM 256-bit key and export as Base64 string for URL
- * @returns {Promise<string>} Base64-encoded key suitable for URL fragment
+ * Raised when a room link's key fragment cannot be used. The message is
+ * meant to be shown to the user as-is.
  */
-export async function generateKey() {
+export class KeyFormatError extends Error {}
+
+/**
+ * Generate an AES-GCM 256-bit key and encode it for the URL fragment:
+ * base64url(version byte || raw 32-byte key), 44 characters.
+ * @param {Object} [options]
+ * @param {boolean} [options.passphrase] mark the fragment as needing a passphrase
+ * @returns {Promise<string>} Key fragment (without the leading "#")
+ */
+export async function generateKey({ passphrase = false } = {}) {
   try {
     // Generate AES-GCM 256-bit key
     const key = await crypto.subtle.generateKey(
@@ -16,14 +41,12 @@ export async function generateKey() {
       ["encrypt", "decrypt"]
     )
 
-    // Export as JWK (JSON Web Key)
-    const jwk = await crypto.subtle.exportKey("jwk", key)
+    const raw = new Uint8Array(await crypto.subtle.exportKey("raw", key))
+    const fragment = new Uint8Array(1 + raw.length)
+    fragment[0] = passphrase ? KEY_FORMAT_PASSPHRASE : KEY_FORMAT_VERSION
+    fragment.set(raw, 1)
 
-    // Convert to JSON and Base64 encode
-    const jsonString = JSON.stringify(jwk)
-    const base64 = btoa(jsonString)
-
-    return base64
+    return base64UrlEncode(fragment)
   } catch (error) {
     console.error("Error generating key:", error)
     throw error
@@ -31,34 +54,196 @@ export async function generateKey() {
 }
 
 /**
- * Import a Base64-encoded key back into a CryptoKey
- * @param {string} keyString Base64-encoded key string
+ * Whether a key fragment belongs to a passphrase room. Malformed fragments
+ * report false; importKey explains what is wrong with them.
+ * @param {string} keyString Key fragment (without the leading "#")
+ * @returns {boolean}
+ */
+export function keyRequiresPassphrase(keyString) {
+  if (!BASE64URL_FORMAT.test(keyString)) return false
+  return base64UrlDecode(keyString)?.[0] === KEY_FORMAT_PASSPHRASE
+}
+
+/**
+ * Import a key fragment back into a CryptoKey. Accepts the versioned format
+ * produced by generateKey and, for links created before it, a base64 JWK of
+ * an AES-256-GCM key. Nothing but the key bytes is taken from either form.
+ *
+ * For a passphrase room the key is derived from both secrets: PBKDF2 stretches
+ * the passphrase (salted with the fragment secret), and HKDF mixes the result
+ * with the fragment secret, so neither the link nor the passphrase alone is enough.
+ * @param {string} keyString Key fragment (without the leading "#")
+ * @param {string} [passphrase] required for passphrase rooms
  * @returns {Promise<CryptoKey>} Imported CryptoKey ready for encryption/decryption
+ * @throws {KeyFormatError} when the fragment is malformed, truncated or of an unknown
+ *   version, or a passphrase room is opened without a passphrase
  */
-export async function importKey(keyString) {
-  try {
-    // Base64 decode
-    const jsonString = atob(keyString)
+export async function importKey(keyString, passphrase) {
+  const { encryptionKey } = await importRoomKeys(keyString, passphrase)
+  return encryptionKey
+}
 
-    // Parse JSON
-    const jwk = JSON.parse(jsonString)
+/**
+ * Like importKey, but also derive the room's subkeys (HKDF of the same secret):
+ * - verificationKey, an HMAC key used to compute safety numbers, never to encrypt;
+ * - signalingKey, an AES-GCM key sealing the signaling relayed by the server.
+ *   It depends on the link secret only, so peers whose passphrases differ
+ *   still connect and can be told so.
+ * @param {string} keyString Key fragment (without the leading "#")
+ * @param {string} [passphrase] required for passphrase rooms
+ * @returns {Promise<{encryptionKey: CryptoKey, verificationKey: CryptoKey, signalingKey: CryptoKey}>}
+ * @throws {KeyFormatError} see importKey
+ */
+export async function importRoomKeys(keyString, passphrase) {
+  if (keyString.startsWith(LEGACY_PREFIX)) return importRawKeys(parseLegacyKey(keyString))
+
+  const { version, raw } = parseKeyFragment(keyString)
+  if (version === KEY_FORMAT_VERSION) return importRawKeys(raw)
+
+  if (!passphrase) {
+    throw new KeyFormatError("This room is protected by a passphrase.")
+  }
+  return deriveRoomKeys(raw, passphrase)
+}
 
-    // Import as CryptoKey
-    const key = await crypto.subtle.importKey(
-      "jwk",
-      jwk,
+async function importRawKeys(raw) {
+  try {
+    const encryptionKey = await crypto.subtle.importKey(
+      "raw",
+      raw,
       { name: "AES-GCM" },
       true,
       ["encrypt", "decrypt"]
     )
-
-    return key
+    const secretKey = await crypto.subtle.importKey("raw", raw, "HKDF", false, ["deriveKey"])
+    return {
+      encryptionKey,
+      verificationKey: await deriveVerificationKey(secretKey, new Uint8Array()),
+      signalingKey: await deriveSignalingKey(secretKey)
+    }
   } catch (error) {
     console.error("Error importing key:", error)
     throw error
   }
 }
 
+async function deriveVerificationKey(secretKey, salt) {
+  return crypto.subtle.deriveKey(
+    { name: "HKDF", hash: "SHA-256", salt, info: new TextEncoder().encode("nullroom safety number") },
+    secretKey,
+    { name: "HMAC", hash: "SHA-256", length: 256 },
+    false,
+    ["sign"]
+  )
+}
+
+async function deriveSignalingKey(secretKey) {
+  return crypto.subtle.deriveKey(
+    { name: "HKDF", hash: "SHA-256", salt: new Uint8Array(), info: new TextEncoder().encode("nullroom signaling key") },
+    secretKey,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  )
+}
+
+async function deriveRoomKeys(secret, passphrase) {
+  try {
+    const passphraseKey = await crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(passphrase.normalize("NFKC")),
+      "PBKDF2",
+      false,
+      ["deriveBits"]
+    )
+    const stretched = await crypto.subtle.deriveBits(
+      { name: "PBKDF2", hash: "SHA-256", salt: secret, iterations: PASSPHRASE_ITERATIONS },
+      passphraseKey,
+      256
+    )
+
+    const secretKey = await crypto.subtle.importKey("raw", secret, "HKDF", false, ["deriveKey"])
+    const encryptionKey = await crypto.subtle.deriveKey(
+      { name: "HKDF", hash: "SHA-256", salt: stretched, info: new TextEncoder().encode("nullroom passphrase room key") },
+      secretKey,
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["encrypt", "decrypt"]
+    )
+    return {
+      encryptionKey,
+      verificationKey: await deriveVerificationKey(secretKey, stretched),
+      signalingKey: await deriveSignalingKey(secretKey)
+    }
+  } catch (error) {
+    console.error("Error deriving key:", error)
+    throw error
+  }
+}
+
+/** @returns {{version: number, raw: Uint8Array}} the version and secret bytes of a versioned fragment */
+function parseKeyFragment(keyString) {
+  if (!BASE64URL_FORMAT.test(keyString)) {
+    throw new KeyFormatError("This room link's key contains invalid characters. Copy the full link again.")
+  }
+
+  const bytes = base64UrlDecode(keyString)
+  if (bytes === null || bytes.length === 0) {
+    throw new KeyFormatError("This room link's key is not valid. Copy the full link again.")
+  }
+  if (bytes[0] !== KEY_FORMAT_VERSION && bytes[0] !== KEY_FORMAT_PASSPHRASE) {
+    throw new KeyFormatError("This room link was made by a different version of nullroom. Reload the page or ask for a new link.")
+  }
+  if (bytes.length !== 1 + RAW_KEY_LENGTH) {
+    throw new KeyFormatError(bytes.length < 1 + RAW_KEY_LENGTH
+      ? "This room link's key is incomplete. Copy the full link again."
+      : "This room link's key is too long. Copy the full link again.")
+  }
+
+  return { version: bytes[0], raw: bytes.slice(1) }
+}
+
+/** @returns {Uint8Array} the raw key bytes of a legacy base64 JWK fragment */
+function parseLegacyKey(keyString) {
+  let jwk
+  try {
+    jwk = JSON.parse(atob(keyString))
+  } catch {
+    throw new KeyFormatError("This room link's key is incomplete. Copy the full link again.")
+  }
+
+  const valid = jwk && typeof jwk === "object" &&
+    jwk.kty === "oct" &&
+    (jwk.alg === undefined || jwk.alg === "A256GCM") &&
+    typeof jwk.k === "string" && BASE64URL_FORMAT.test(jwk.k)
+  const raw = valid ? base64UrlDecode(jwk.k) : null
+  if (!raw || raw.length !== RAW_KEY_LENGTH) {
+    throw new KeyFormatError("This room link's key is not a valid AES-256 key. Ask for a new link.")
+  }
+
+  return raw
+}
+
+/** @param {Uint8Array} bytes */
+function base64UrlEncode(bytes) {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "")
+}
+
+/** @returns {Uint8Array|null} null if the string is not valid base64url */
+function base64UrlDecode(string) {
+  if (string.length % 4 === 1) return null
+
+  try {
+    const binary = atob(string.replace(/-/g, "+").replace(/_/g, "/"))
+    return Uint8Array.from(binary, (char) => char.charCodeAt(0))
+  } catch {
+    return null
+  }
+}
+
 /**
  * Encrypt plaintext with AES-GCM
  * @param {string} plaintext Message to encrypt
@@ -138,20 +323,33 @@ export async function decrypt(encryptedString, key) {
   }
 }
 
+/**
+ * Build AES-GCM parameters, binding optional additional authenticated data.
+ * @param {Uint8Array} iv
+ * @param {BufferSource} [additionalData]
+ * @returns {AesGcmParams}
+ */
+function gcmParams(iv, additionalData) {
+  return additionalData
+    ? { name: "AES-GCM", iv: iv, additionalData: additionalData }
+    : { name: "AES-GCM", iv: iv }
+}
+
 /**
  * Encrypt a binary ArrayBuffer with AES-GCM.
  * Returns a new ArrayBuffer of the form: IV (12 bytes) || ciphertext.
  * Used for per-chunk file transfer encryption.
  * @param {ArrayBuffer} buffer Binary data to encrypt
  * @param {CryptoKey} key Encryption key
+ * @param {BufferSource} [additionalData] Authenticated but unencrypted context (e.g. a frame header)
  * @returns {Promise<ArrayBuffer>}
  */
-export async function encryptBuffer(buffer, key) {
+export async function encryptBuffer(buffer, key, additionalData) {
   try {
     const iv = crypto.getRandomValues(new Uint8Array(12))
 
     const ciphertextBuffer = await crypto.subtle.encrypt(
-      { name: "AES-GCM", iv: iv },
+      gcmParams(iv, additionalData),
       key,
       buffer
     )
@@ -170,19 +368,21 @@ export async function encryptBuffer(buffer, key) {
 
 /**
  * Decrypt an ArrayBuffer whose first 12 bytes are the AES-GCM IV.
- * Counterpart to encryptBuffer.
+ * Counterpart to encryptBuffer; `additionalData` must match what was
+ * passed when encrypting or authentication fails.
  * @param {ArrayBuffer} buffer IV (12 bytes) || ciphertext
  * @param {CryptoKey} key Decryption key
+ * @param {BufferSource} [additionalData] Authenticated context used at encryption time
  * @returns {Promise<ArrayBuffer>} Decrypted plaintext as ArrayBuffer
  */
-export async function decryptBuffer(buffer, key) {
+export async function decryptBuffer(buffer, key, additionalData) {
   try {
     const bytes = new Uint8Array(buffer)
     const iv = bytes.slice(0, 12)
     const ciphertext = bytes.slice(12).buffer
 
     const plaintextBuffer = await crypto.subtle.decrypt(
-      { name: "AES-GCM", iv: iv },
+      gcmParams(iv, additionalData),
       key,
       ciphertext
     )
@@ -193,3 +393,69 @@ export async function decryptBuffer(buffer, key) {
     throw error
   }
 }
+
+/**
+ * Generate an ephemeral ECDH (P-256) key pair for one connection. The
+ * private key cannot be exported and is dropped once the session key exists,
+ * so traffic under that session key stays private even if the link leaks later.
+ * @returns {Promise<CryptoKeyPair>}
+ */
+export async function generateSessionKeyPair() {
+  return crypto.subtle.generateKey(
+    { name: "ECDH", namedCurve: "P-256" },
+    false,
+    ["deriveBits"]
+  )
+}
+
+/**
+ * @param {CryptoKeyPair} keyPair
+ * @returns {Promise<string>} base64url of the uncompressed public point (65 bytes)
+ */
+export async function exportPublicKey(keyPair) {
+  const raw = await crypto.subtle.exportKey("raw", keyPair.publicKey)
+  return base64UrlEncode(new Uint8Array(raw))
+}
+
+/**
+ * Derive the AES-GCM session key shared with the peer: HKDF-SHA256 over the
+ * ECDH secret, salted with a hash of both public keys so both sides bind the
+ * same exchange. The public keys must reach each side authenticated (sealed
+ * with the link key), otherwise this is open to a man in the middle.
+ * @param {CryptoKey} privateKey our ephemeral ECDH private key
+ * @param {string} ownPublicKey as returned by exportPublicKey
+ * @param {string} peerPublicKey the peer's exportPublicKey value
+ * @returns {Promise<CryptoKey>} non-extractable AES-GCM 256 key
+ * @throws {Error} if the peer's public key is not a valid P-256 point
+ */
+export async function deriveSessionKey(privateKey, ownPublicKey, peerPublicKey) {
+  const peerRaw = BASE64URL_FORMAT.test(peerPublicKey) ? base64UrlDecode(peerPublicKey) : null
+  if (!peerRaw || peerRaw.length !== 65) throw new Error("Peer session public key is malformed")
+
+  try {
+    const peerKey = await crypto.subtle.importKey(
+      "raw",
+      peerRaw,
+      { name: "ECDH", namedCurve: "P-256" },
+      false,
+      []
+    )
+    const secret = await crypto.subtle.deriveBits({ name: "ECDH", public: peerKey }, privateKey, 256)
+
+    // Same salt on both sides: the two public keys in a fixed order
+    const [first, second] = [ownPublicKey, peerPublicKey].sort()
+    const salt = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`${first}.${second}`))
+
+    const secretKey = await crypto.subtle.importKey("raw", secret, "HKDF", false, ["deriveKey"])
+    return await crypto.subtle.deriveKey(
+      { name: "HKDF", hash: "SHA-256", salt, info: new TextEncoder().encode("nullroom session key") },
+      secretKey,
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["encrypt", "decrypt"]
+    )
+  } catch (error) {
+    console.error("Error deriving session key:", error)
+    throw error
+  }
+}
@@ -0,0 +1,284 @@
+/**
+ * Disk sinks for files received over P2P.
+ *
+ * FileTransferReceiver hands each decrypted chunk to a sink in order and drops
+ * it from memory straight away, so peak memory no longer grows with file size.
+ *
+ * Every sink implements the same interface:
+ *   await sink.write(arrayBuffer)  // append the next in-order chunk
+ *   await sink.close()             // => { saved: boolean, url: string|null, blob?: Blob }
+ *   await sink.abort()             // discard whatever was written
+ *
+ * Files that arrive from a dropped folder carry a sanitized relative `path`
+ * (array of segments). FileSystemSink.openInDirectory() recreates it under a
+ * folder the user picked; the download-based sinks flatten it into the file
+ * name instead ("photos_2024_beach.jpg").
+ *
+ * Plaintext is only ever written to the local disk (or held in memory for the
+ * in-page fallback) — nothing is sent back to the server.
+ */
+
+const SERVICE_WORKER_URL = "/service-worker.js"
+const DOWNLOAD_FRAME_TTL_MS = 60_000
+const KEEPALIVE_INTERVAL_MS = 10_000 // browsers stop a worker after ~30 s without events
+
+/**
+ * Displayable files up to this size are kept in memory (MemorySink) so the
+ * room can preview them inline from their blob URL; larger ones go to disk.
+ */
+export const INLINE_PREVIEW_LIMIT = 26_214_400 // 25 MiB
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FileSystemSink — File System Access API
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Writes straight into a file the user picked with showSaveFilePicker().
+ * `open()` must run inside a user gesture (e.g. a click handler).
+ */
+export class FileSystemSink {
+  static isSupported() {
+    return typeof window.showSaveFilePicker === "function"
+  }
+
+  static supportsDirectories() {
+    return typeof window.showDirectoryPicker === "function"
+  }
+
+  /**
+   * Prompt the user for a folder to receive a dropped directory into.
+   * Must run inside a user gesture; rejects with an AbortError if dismissed.
+   * @returns {Promise<FileSystemDirectoryHandle>}
+   */
+  static async pickDirectory() {
+    return window.showDirectoryPicker({ mode: "readwrite" })
+  }
+
+  /**
+   * Prompt the user for a destination and open it for writing.
+   * Rejects with an AbortError DOMException if the user dismisses the picker.
+   * @param {{name: string}} meta
+   * @returns {Promise<FileSystemSink>}
+   */
+  static async open(meta) {
+    const handle   = await window.showSaveFilePicker({ suggestedName: meta.name })
+    const writable = await handle.createWritable()
+    return new FileSystemSink(writable)
+  }
+
+  /**
+   * Create `segments/name` below a directory handle and open it for writing.
+   * No user gesture needed once the directory has been granted.
+   * @param {FileSystemDirectoryHandle} root
+   * @param {string[]} segments sanitized relative folder path
+   * @param {string}   name
+   * @returns {Promise<FileSystemSink>}
+   */
+  static async openInDirectory(root, segments, name) {
+    let dir = root
+    for (const segment of segments) {
+      dir = await dir.getDirectoryHandle(segment, { create: true })
+    }
+    const handle   = await dir.getFileHandle(name, { create: true })
+    const writable = await handle.createWritable()
+    return new FileSystemSink(writable)
+  }
+
+  constructor(writable) {
+    this._writable = writable
+  }
+
+  async write(chunk) {
+    await this._writable.write(chunk)
+  }
+
+  async close() {
+    await this._writable.close()
+    return { saved: true, url: null }
+  }
+
+  async abort() {
+    await this._writable.abort()
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ServiceWorkerSink — streamed download for browsers without the API above
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Pipes chunks through a MessageChannel into the app's service worker, which
+ * answers a hidden-iframe navigation with a streamed attachment response.
+ * The browser's download manager writes it to disk as it arrives.
+ *
+ * The worker acknowledges each chunk once its stream has room for more, and
+ * write() waits for that, so a slow download never piles chunks up in the
+ * worker. Port messages do not count as worker activity, so the sink also
+ * pings the worker while the download is open to keep it from being stopped.
+ */
+export class ServiceWorkerSink {
+  static isSupported() {
+    return window.isSecureContext === true &&
+      "serviceWorker" in navigator &&
+      typeof MessageChannel === "function"
+  }
+
+  /**
+   * Register the service worker (if needed) and start the download.
+   * @param {{name: string, size: number, mimeType: string}} meta
+   * @returns {Promise<ServiceWorkerSink>}
+   */
+  static async open(meta) {
+    await navigator.serviceWorker.register(SERVICE_WORKER_URL)
+    const registration = await navigator.serviceWorker.ready
+
+    const { port1, port2 } = new MessageChannel()
+    const ready = new Promise((resolve, reject) => {
+      port1.onmessage = ({ data }) => {
+        if (data && data.type === "ready") resolve(data.url)
+        else reject(new Error("Service worker refused the download"))
+      }
+    })
+
+    registration.active.postMessage({
+      type:     "nullroom-download",
+      id:       crypto.randomUUID(),
+      name:     downloadName(meta),
+      size:     meta.size,
+      mimeType: meta.mimeType
+    }, [port2])
+
+    const url = await ready
+    port1.onmessage = null
+
+    const frame = document.createElement("iframe")
+    frame.hidden = true
+    frame.src = url
+    document.body.appendChild(frame)
+
+    return new ServiceWorkerSink(port1, frame, registration.active)
+  }
+
+  constructor(port, frame, worker) {
+    this._port    = port
+    this._frame   = frame
+    this._pending = null // { resolve, reject } for the chunk awaiting its ack
+    this._failed  = null
+
+    this._port.onmessage = ({ data }) => {
+      if (data && data.type === "ack") {
+        this._settle()
+      } else if (data && data.type === "cancelled") {
+        this._failed = new Error("The download was cancelled")
+        this._settle(this._failed)
+      }
+    }
+
+    this._keepalive = setInterval(() => {
+      worker.postMessage({ type: "nullroom-keepalive" })
+    }, KEEPALIVE_INTERVAL_MS)
+  }
+
+  async write(chunk) {
+    if (this._failed) throw this._failed
+
+    const acked = new Promise((resolve, reject) => { this._pending = { resolve, reject } })
+    // Transfer ownership so the page does not keep a copy of the chunk
+    this._port.postMessage({ type: "chunk", chunk }, [chunk])
+    await acked
+  }
+
+  _settle(error = null) {
+    const pending = this._pending
+    this._pending = null
+    if (!pending) return
+    if (error) pending.reject(error)
+    else pending.resolve()
+  }
+
+  async close() {
+    this._port.postMessage({ type: "close" })
+    this._dispose()
+    return { saved: true, url: null }
+  }
+
+  async abort() {
+    this._port.postMessage({ type: "abort" })
+    this._dispose()
+  }
+
+  _dispose() {
+    this._settle(new Error("The download was closed"))
+    this._port.close()
+    // The download manager owns the response by now; drop the frame later so
+    // slow browsers still get to hand it over. The worker may still be
+    // draining its queue until then, so keep it alive as well.
+    const frame     = this._frame
+    const keepalive = this._keepalive
+    setTimeout(() => {
+      frame.remove()
+      clearInterval(keepalive)
+    }, DOWNLOAD_FRAME_TTL_MS)
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MemorySink — last-resort in-page Blob
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Collects chunks into a Blob and exposes it as an object URL.
+ * Used for small previewable files, and when neither disk-backed sink is
+ * available.
+ */
+export class MemorySink {
+  /**
+   * @param {{mimeType: string}} meta read again on close(), so a type the
+   *   receiver downgraded after sniffing the content is honoured
+   */
+  constructor(meta) {
+    this._meta   = meta
+    this._chunks = []
+  }
+
+  async write(chunk) {
+    this._chunks.push(chunk)
+  }
+
+  async close() {
+    const blob = new Blob(this._chunks, { type: this._meta.mimeType })
+    this._chunks = []
+    return { saved: false, url: URL.createObjectURL(blob), blob }
+  }
+
+  async abort() {
+    this._chunks = []
+  }
+}
+
+/**
+ * File name for a download that cannot recreate folders: the relative path
+ * is folded into the name so files from different folders do not collide.
+ * @param {{name: string, path?: string[]}} meta
+ * @returns {string}
+ */
+export function downloadName(meta) {
+  return [...(meta.path || []), meta.name].join("_")
+}
+
+/**
+ * Open the best sink that does not need a user gesture: a streamed
+ * service-worker download where available, otherwise an in-memory Blob.
+ * @param {{name: string, size: number, mimeType: string}} meta
+ * @returns {Promise<ServiceWorkerSink|MemorySink>}
+ */
+export async function openFallbackSink(meta) {
+  if (ServiceWorkerSink.isSupported()) {
+    try {
+      return await ServiceWorkerSink.open(meta)
+    } catch (err) {
+      console.warn("[FileSink] Streamed download unavailable, buffering in memory:", err)
+    }
+  }
+  return new MemorySink(meta)
+}
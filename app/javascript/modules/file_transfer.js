@@ -4,17 +4,53 @@
  * Handles chunked, per-chunk AES-GCM encrypted file send/receive
  * over a dedicated RTCDataChannel ("nullroom-files").
  *
+ * Nothing is streamed until the receiver agrees: the sender announces each
+ * file with `file-offer` (name, size, type) and waits for `file-accept` or
+ * `file-decline`, giving up after OFFER_TIMEOUT_MS.
+ *
+ * Either peer can stop a transfer with `file-cancel`, or hold it with
+ * `file-pause` / `file-resume`; each side tracks its own pause, and chunks
+ * flow only while neither holds one.
+ *
+ * Flow control: the receiver acknowledges (`file-ack`) chunks once its sink
+ * has written them, and the sender stays at most SEND_WINDOW_CHUNKS ahead of
+ * the last acknowledgement, so a slow disk or download holds the sender back
+ * instead of piling decrypted chunks up in the receiver's memory.
+ *
+ * Binary chunk frame layout (the header is AES-GCM additional data, so a
+ * chunk cannot be moved to another slot or another transfer undetected):
+ *
+ *   version (1) | transferId (16) | chunk index (4, big-endian) | IV (12) | ciphertext
+ *
  * Files never touch the server — zero-trace preserved.
  * The server only authorises the transfer (size gate); actual bytes are P2P.
  */
 
-const CHUNK_SIZE   = 65_536       // 64 KB per spec
-const MAX_BUFFER   = 16_777_216   // 16 MB — pause sending above this (backpressure)
+import { openFallbackSink } from "modules/file_sink"
+import { devLog } from "modules/dev_logger"
+import { Sha256 } from "modules/sha256"
+import { sniffMimeType } from "modules/content_sniffer"
+
+const CHUNK_SIZE        = 65_536       // 64 KB per spec
+const MAX_BUFFER        = 16_777_216   // 16 MB — pause sending above this (backpressure)
+const READ_AHEAD_CHUNKS = 8            // chunks read + encrypted ahead of the channel (~512 KB)
+const ACK_INTERVAL_CHUNKS = 16         // receiver acknowledges written progress every 1 MB
+const SEND_WINDOW_CHUNKS  = 64         // chunks the sender may have unacknowledged (4 MB)
+const ACK_TIMEOUT_MS      = 30_000     // how long the sender waits for an answer to file-sync
+const RESUME_TIMEOUT_MS   = 30_000     // how long a dropped file channel may take to reopen
+const MAX_RESUME_ATTEMPTS = 5
+const OFFER_TIMEOUT_MS    = 120_000    // how long the receiver has to accept or decline
+const MAX_REORDER_WINDOW  = 256        // chunks accepted ahead of the last one the sink wrote (16 MB)
+
+const FRAME_VERSION     = 1
+const FRAME_HEADER_SIZE = 21           // version + transferId + chunk index
+const SEAL_INDEX        = 0xFFFF_FFFF  // header index used to bind the sealed file-end payload
 
 /** Maximum file size allowed in the Beta phase. Mirrors the server-side gate. */
-export const FILE_SIZE_LIMIT = 16_777_216  // 16 MiB (16 × 1024 × 1024)
+export const FILE_SIZE_LIMIT = 536_870_912  // 512 MiB (512 × 1024 × 1024)
 
 const MAX_FILE_NAME_LENGTH = 255
+const MAX_PATH_DEPTH = 32
 const MAX_TOTAL_CHUNKS = Math.ceil(FILE_SIZE_LIMIT / CHUNK_SIZE)
 const SAFE_MIME_FALLBACK = "application/octet-stream"
 const DISPLAYABLE_MIME_TYPES = new Set([
@@ -25,6 +61,93 @@ const DISPLAYABLE_MIME_TYPES = new Set([
   "text/plain"
 ])
 
+/** Whether received files of this type may be rendered inline (see DISPLAYABLE_MIME_TYPES). */
+export function isDisplayableMimeType(type) {
+  return DISPLAYABLE_MIME_TYPES.has(type)
+}
+
+/** Raised when the browser cannot read a slice of the file from disk. */
+class FileReadError extends Error {}
+
+/** Raised when the file channel drops (or the receiver goes silent) mid-transfer. */
+class ChannelLostError extends Error {}
+
+/** Raised when the receiver reports that the file failed verification. */
+class TransferFailedError extends Error {}
+
+/** Raised by the receiver when a file is incomplete or its digest does not match. */
+class IntegrityError extends Error {}
+
+/** Raised inside the sender when either peer cancels the active transfer. */
+class TransferCancelledError extends Error {
+  /** @param {"local"|"peer"} by */
+  constructor(by) {
+    super(`Transfer cancelled by ${by}`)
+    this.by = by
+  }
+}
+
+/**
+ * Build the authenticated header for a chunk (or, with SEAL_INDEX, for the
+ * sealed file-end payload) of the given transfer.
+ * @param {string} transferId UUID
+ * @param {number} index
+ * @returns {Uint8Array}
+ */
+function encodeFrameHeader(transferId, index) {
+  const hex = String(transferId).replace(/-/g, "")
+  if (!/^[0-9a-f]{32}$/i.test(hex)) throw new Error("Invalid transferId")
+
+  const header = new Uint8Array(FRAME_HEADER_SIZE)
+  header[0] = FRAME_VERSION
+  for (let i = 0; i < 16; i++) header[1 + i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16)
+  new DataView(header.buffer).setUint32(17, index)
+  return header
+}
+
+/**
+ * Split a binary frame into its header fields and encrypted body.
+ * @param {ArrayBuffer} frame
+ * @returns {{header: Uint8Array, transferId: string, index: number, body: ArrayBuffer}|null}
+ */
+function decodeFrame(frame) {
+  if (frame.byteLength <= FRAME_HEADER_SIZE) return null
+
+  const header = new Uint8Array(frame, 0, FRAME_HEADER_SIZE).slice()
+  if (header[0] !== FRAME_VERSION) return null
+
+  const hex = Array.from(header.subarray(1, 17), byte => byte.toString(16).padStart(2, "0")).join("")
+  const transferId = `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`
+
+  return {
+    header,
+    transferId,
+    index: new DataView(header.buffer).getUint32(17),
+    body: frame.slice(FRAME_HEADER_SIZE)
+  }
+}
+
+/** Concatenate a header and an encrypted body into one frame. */
+function joinFrame(header, body) {
+  const frame = new Uint8Array(header.byteLength + body.byteLength)
+  frame.set(header, 0)
+  frame.set(new Uint8Array(body), header.byteLength)
+  return frame.buffer
+}
+
+function bytesToBase64(bytes) {
+  let binary = ""
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i])
+  return btoa(binary)
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+  return bytes
+}
+
 function fileSizeLimitLabel(bytes) {
   const mebibytes = bytes / (1024 * 1024)
   return Number.isInteger(mebibytes) ? `${mebibytes} MB` : `${mebibytes.toFixed(1)} MB`
@@ -40,6 +163,21 @@ function normalizeFileName(value) {
   return (normalized || "download").slice(0, MAX_FILE_NAME_LENGTH)
 }
 
+/**
+ * Sanitize a relative folder path ("photos/2024") into safe segments.
+ * Empty, "." and ".." segments are dropped so a peer cannot escape the
+ * destination folder.
+ * @returns {string[]}
+ */
+function normalizeRelativePath(value) {
+  return String(value ?? "")
+    .split(/[\\/]+/)
+    .map(segment => segment.normalize("NFKC").trim())
+    .filter(segment => segment && segment !== "." && segment !== "..")
+    .map(segment => normalizeFileName(segment))
+    .slice(0, MAX_PATH_DEPTH)
+}
+
 function normalizeFileSize(value) {
   const parsed = Number(value)
   if (!Number.isFinite(parsed) || parsed < 0 || parsed > FILE_SIZE_LIMIT) return 0
@@ -51,6 +189,17 @@ function normalizeMimeType(value) {
   return DISPLAYABLE_MIME_TYPES.has(normalized) ? normalized : SAFE_MIME_FALLBACK
 }
 
+/** The sender's declared type, for display only ("application/zip"). */
+function normalizeDeclaredType(value) {
+  const normalized = String(value ?? "").trim().toLowerCase().slice(0, 100)
+  return /^[a-z0-9][a-z0-9!#$&^_.+-]*\/[a-z0-9][a-z0-9!#$&^_.+-]*$/.test(normalized) ? normalized : ""
+}
+
+function normalizeTransferId(value) {
+  const normalized = String(value ?? "").trim().toLowerCase()
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(normalized) ? normalized : ""
+}
+
 function normalizeTotalChunks(value) {
   const parsed = Number(value)
   if (!Number.isInteger(parsed) || parsed <= 0 || parsed > MAX_TOTAL_CHUNKS) return 0
@@ -62,26 +211,50 @@ function normalizeTotalChunks(value) {
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * Sends a single file over a WebRTC DataChannel in encrypted 64 KB chunks.
+ * Sends files over a WebRTC DataChannel in encrypted 64 KB chunks, one at a
+ * time: calls to send() made while a transfer is running are queued in order.
+ *
+ * The receiver acknowledges the highest contiguous chunk it holds. If the file
+ * channel drops mid-transfer, the sender waits for it to reopen, asks the
+ * receiver where it got to (`file-sync`) and resumes from the next chunk of the
+ * same transferId instead of starting over.
+ *
+ * A streaming SHA-256 of the plaintext travels encrypted in the `file-end`
+ * frame; the receiver answers `file-done` once it has verified it, or
+ * `file-failed` on a mismatch or missing chunk.
  *
  * Usage:
- *   const sender = new FileTransferSender(peer, encryptFn, onProgress, onError)
- *   await sender.send(file)
+ *   const sender = new FileTransferSender(peer, encryptFn, onProgress, onError, { onOffered, onStateChange })
+ *   peer.on("file-data", data => sender.handleControl(data))
+ *   const result = await sender.send(file, { transferId, path })
+ *   // => { sha256 }, { cancelled: true, by: "local"|"peer" },
+ *   //    { declined: true, expired: boolean }, or null on failure
+ *   sender.pause(transferId) / sender.resume(transferId) / sender.cancel(transferId)
  */
 export class FileTransferSender {
   /**
    * @param {PeerConnection} peer       The active PeerConnection (accesses fileChannel lazily)
-   * @param {Function}       encryptFn  async (ArrayBuffer) => ArrayBuffer
-   * @param {Function}       onProgress (name: string, percent: number) => void
-   * @param {Function}       onError    (message: string) => void
+   * @param {Function}       encryptFn  async (ArrayBuffer, additionalData?) => ArrayBuffer
+   * @param {Function}       onProgress (name: string, percent: number, transferId: string) => void
+   * @param {Function}       onError    (message: string, transferId?: string) => void
+   * @param {Object}         [options]
+   * @param {Function}       [options.onOffered]     (transferId: string) => void — the receiver is being asked
+   * @param {Function}       [options.onStateChange] ({transferId, paused, by: "local"|"peer"}) => void
    */
-  constructor(peer, encryptFn, onProgress, onError) {
+  constructor(peer, encryptFn, onProgress, onError, { onOffered = () => {}, onStateChange = () => {} } = {}) {
     this.peer      = peer
     this.encryptFn = encryptFn
     this.onProgress = onProgress
     this.onError    = onError
+    this.onOffered  = onOffered
+    this.onStateChange = onStateChange
     this.fileSizeLimit = FILE_SIZE_LIMIT
     this._sending   = false
+    this._queue     = []         // { file, transferId, path, resolve } waiting their turn
+    this._draining  = false
+    this._transfer  = null       // see _send()
+    this._waiters   = new Set()  // (msg, err) => void — notified of every control frame for the transfer
+    this._verdict   = null       // file-done / file-failed frame for the active transfer, once known
   }
 
   setFileSizeLimit(bytes) {
@@ -92,89 +265,460 @@ export class FileTransferSender {
   }
 
   /**
-   * Validate and stream a File object over the file data channel.
+   * Queue a File to be streamed over the file data channel once every
+   * earlier transfer has finished.
    * Caller should already have received server authorisation before calling this.
-   * @param {File} file
+   * @param {File}   file
+   * @param {Object} [options]
+   * @param {string} [options.transferId] UUID the caller uses to track this file
+   * @param {string} [options.path]       Relative folder the file came from ("photos/2024")
+   * @returns {Promise<{sha256: string}|{cancelled: true, by: string}|{declined: true, expired: boolean}|null>}
+   *   resolves once the receiver verified the file, declined it (or let the offer
+   *   expire), or either peer cancelled it; null if the transfer failed (already
+   *   reported through onError)
    */
-  async send(file) {
-    if (this._sending) {
-      this.onError("A file transfer is already in progress.")
+  send(file, { transferId = crypto.randomUUID(), path = "" } = {}) {
+    return new Promise((resolve) => {
+      this._queue.push({ file, transferId, path, resolve })
+      this._drainQueue()
+    })
+  }
+
+  /** Run queued transfers one at a time until the queue is empty. */
+  async _drainQueue() {
+    if (this._draining) return
+    this._draining = true
+    while (this._queue.length > 0) {
+      const { file, transferId, path, resolve } = this._queue.shift()
+      resolve(await this._send(file, transferId, path))
+    }
+    this._draining = false
+  }
+
+  /** Whether a transfer is currently streaming (others may be queued behind it). */
+  get busy() {
+    return this._sending
+  }
+
+  /**
+   * Cancel a transfer: the active one is stopped and the receiver told to
+   * discard it; a queued one is dropped from the queue (its send() resolves
+   * straight away).
+   */
+  cancel(transferId) {
+    const transfer = this._transfer
+    if (transfer && transfer.id === transferId) {
+      this._sendControl({ type: "file-cancel", transferId })
+      this._abort(transfer, "local")
       return
     }
 
+    const index = this._queue.findIndex((entry) => entry.transferId === transferId)
+    if (index !== -1) {
+      const [entry] = this._queue.splice(index, 1)
+      entry.resolve({ cancelled: true, by: "local" })
+    }
+  }
+
+  /**
+   * Stop streaming the active transfer until resume(). Chunks already handed
+   * to the channel still arrive.
+   * @returns {boolean} false if `transferId` is not the active transfer
+   */
+  pause(transferId) {
+    return this._setPaused(transferId, true)
+  }
+
+  /** @returns {boolean} false if `transferId` is not the active transfer */
+  resume(transferId) {
+    return this._setPaused(transferId, false)
+  }
+
+  _setPaused(transferId, paused) {
+    const transfer = this._transfer
+    if (!transfer || transfer.id !== transferId || transfer.cancelled) return false
+
+    this._sendControl({ type: paused ? "file-pause" : "file-resume", transferId })
+    this._holdTransfer(transfer, "local", paused)
+    return true
+  }
+
+  /** Add or release one side's hold on the transfer and wake the streaming loop. */
+  _holdTransfer(transfer, by, paused) {
+    if (paused) transfer.pausedBy.add(by)
+    else transfer.pausedBy.delete(by)
+    if (!paused && transfer.wake) transfer.wake()
+    this.onStateChange({ transferId: transfer.id, paused, by })
+  }
+
+  /** Stop the active transfer: wake the streaming loop and fail every pending wait. */
+  _abort(transfer, by) {
+    if (transfer.cancelled) return
+    transfer.cancelled = by
+    if (transfer.wake) transfer.wake()
+    for (const waiter of [...this._waiters]) waiter(null, new TransferCancelledError(by))
+  }
+
+  _sendControl(frame) {
+    const ch = this.peer.fileChannel
+    if (!ch || ch.readyState !== "open") return
+    try {
+      ch.send(JSON.stringify(frame))
+    } catch (err) {
+      console.warn("[FileTransfer] Could not send control frame:", err)
+    }
+  }
+
+  async _send(file, transferId, path) {
     // Client-side size guard (mirrors server gate — instant UX feedback)
     if (file.size > this.fileSizeLimit) {
-      this.onError(`Files must be under ${fileSizeLimitLabel(this.fileSizeLimit)}.`)
-      return
+      this.onError(`Files must be under ${fileSizeLimitLabel(this.fileSizeLimit)}.`, transferId)
+      return null
     }
 
     const ch = this.peer.fileChannel
     if (!ch || ch.readyState !== "open") {
-      this.onError("File channel is not ready yet. Please wait a moment.")
-      return
+      this.onError("File channel is not ready yet. Please wait a moment.", transferId)
+      return null
     }
 
     this._sending = true
-    const transferId  = crypto.randomUUID()
-    const totalChunks = Math.ceil(file.size / CHUNK_SIZE)
+    const transfer = this._transfer = {
+      id:          transferId,
+      file,
+      path,
+      totalChunks: Math.ceil(file.size / CHUNK_SIZE),
+      acked:       -1,            // highest contiguous chunk index the receiver confirmed
+      hash:        new Sha256(),  // plaintext digest, fed strictly in chunk order
+      hashed:      0,             // next chunk index the hash expects
+      sha256:      null,
+      pausedBy:    new Set(),     // "local" / "peer" — streaming waits while non-empty
+      wake:        null,          // resolves the streaming loop's pause wait
+      cancelled:   null           // "local" / "peer" once cancelled
+    }
 
-    // ── 1. Send JSON metadata header as a text frame ──────────────────────
-    ch.send(JSON.stringify({
-      type: "file-start",
+    try {
+      const answer = await this._requestConsent(transfer)
+      if (answer !== "accepted") {
+        // Withdraw an expired offer so the receiver's card goes away
+        if (answer === "expired") this._sendControl({ type: "file-cancel", transferId })
+        return { declined: true, expired: answer === "expired" }
+      }
+
+      let from = 0
+      let resumes = 0
+
+      for (;;) {
+        try {
+          await this._sendFrom(transfer, from)
+          await this._waitForOutcome(transfer)
+          return { sha256: transfer.sha256 }
+        } catch (err) {
+          if (!(err instanceof ChannelLostError) || resumes >= MAX_RESUME_ATTEMPTS) throw err
+          resumes++
+          devLog("[FileTransfer] File channel lost, resuming", { transferId: transfer.id, attempt: resumes })
+          from = await this._resync(transfer)
+        }
+      }
+    } catch (err) {
+      if (err instanceof TransferCancelledError) {
+        devLog("[FileTransfer] Transfer cancelled", { transferId, by: err.by })
+        return { cancelled: true, by: err.by }
+      }
+      if (err instanceof FileReadError) {
+        console.error("[FileTransfer] Failed to read file:", err.cause)
+        this.onError("Failed to read the file.", transferId)
+      } else if (err instanceof TransferFailedError) {
+        console.error("[FileTransfer] Receiver rejected the file:", err.message)
+        this.onError(`Peer could not verify the file (${err.message}).`, transferId)
+      } else if (err instanceof ChannelLostError) {
+        console.error("[FileTransfer] Transfer could not be resumed:", err)
+        this.onError("File transfer interrupted and could not be resumed.", transferId)
+      } else {
+        console.error("[FileTransfer] Send error:", err)
+        this.onError("File transfer failed during sending.", transferId)
+      }
+      return null
+    } finally {
+      this._sending  = false
+      this._transfer = null
+      this._verdict  = null
+      for (const waiter of [...this._waiters]) waiter(null, new ChannelLostError("Transfer finished"))
+    }
+  }
+
+  /**
+   * Feed an incoming file-channel message to the sender.
+   * Only `file-ack` / `file-done` / `file-failed` and the receiver's
+   * `file-cancel` / `file-pause` / `file-resume` frames for the active
+   * transfer are of interest here; everything else belongs to the receiver.
+   * @param {string|ArrayBuffer} data
+   */
+  handleControl(data) {
+    if (typeof data !== "string" || !this._transfer) return
+
+    let msg
+    try { msg = JSON.parse(data) } catch { return }
+    const transfer = this._transfer
+    if (msg.transferId !== transfer.id) return
+
+    if (msg.type === "file-cancel") {
+      this._abort(transfer, "peer")
+      return
+    }
+    if (msg.type === "file-pause" || msg.type === "file-resume") {
+      if (!transfer.cancelled) this._holdTransfer(transfer, "peer", msg.type === "file-pause")
+      return
+    }
+
+    if (msg.type === "file-ack") {
+      const index = Number(msg.index)
+      if (!Number.isInteger(index) || index < -1 || index >= this._transfer.totalChunks) return
+      msg.index = index
+      this._transfer.acked = Math.max(this._transfer.acked, index)
+    } else if (msg.type === "file-done" || msg.type === "file-failed") {
+      this._verdict = msg
+    } else if (msg.type !== "file-accept" && msg.type !== "file-decline") {
+      return
+    }
+
+    for (const waiter of [...this._waiters]) waiter(msg)
+  }
+
+  /**
+   * ── 1. Offer the file and wait for the receiver's answer ─────────────────
+   * The offer is repeated if the channel drops while waiting; the receiver
+   * answers a repeat of an offer it already decided on with the same answer.
+   * @returns {Promise<"accepted"|"declined"|"expired">}
+   */
+  async _requestConsent(transfer) {
+    const { id: transferId, file, path, totalChunks } = transfer
+    const offer = JSON.stringify({
+      type: "file-offer",
       transferId,
       name:        file.name,
+      path,
       size:        file.size,
       totalChunks,
       mimeType:    file.type || "application/octet-stream"
-    }))
+    })
+    const deadline = Date.now() + OFFER_TIMEOUT_MS
+    this.onOffered(transferId)
 
-    // ── 2. Read the entire file into memory ───────────────────────────────
-    let buffer
-    try {
-      buffer = await file.arrayBuffer()
-    } catch (err) {
-      console.error("[FileTransfer] Failed to read file:", err)
-      this.onError("Failed to read the file.")
-      this._sending = false
-      return
+    for (;;) {
+      const ch = await this._waitForFileChannel()
+      const reply = this._nextControl(["file-accept", "file-decline"], Math.max(1, deadline - Date.now()), ch)
+      ch.send(offer)
+
+      try {
+        const msg = await reply
+        return msg.type === "file-accept" ? "accepted" : "declined"
+      } catch (err) {
+        if (!(err instanceof ChannelLostError)) throw err
+        // Still open means the wait timed out; otherwise the channel dropped
+        // and the offer goes out again once it is back
+        if (Date.now() >= deadline || (ch.readyState === "open" && ch === this.peer.fileChannel)) return "expired"
+      }
     }
+  }
 
-    // ── 3. Send encrypted chunks with backpressure control ────────────────
-    try {
-      for (let i = 0; i < totalChunks; i++) {
-        const start     = i * CHUNK_SIZE
-        const chunk     = buffer.slice(start, start + CHUNK_SIZE)
-        const encrypted = await this.encryptFn(chunk)
-
-        // Backpressure: pause when the send buffer is saturated
-        if (ch.bufferedAmount > MAX_BUFFER) {
-          await this._waitForDrain(ch)
-        }
+  /**
+   * Send every chunk from `from` onwards and the sealed end sentinel.
+   * Throws ChannelLostError if the channel goes away.
+   */
+  async _sendFrom(transfer, from) {
+    const { id: transferId, file, totalChunks } = transfer
+    const ch = this.peer.fileChannel
+    this._assertOpen(ch)
+
+    // ── 2. Stream encrypted chunks from disk with backpressure control ────
+    // Chunks are read lazily via Blob.slice(); at most READ_AHEAD_CHUNKS are
+    // held in memory ahead of the channel, and reading stops entirely while
+    // the channel's send buffer is saturated. Memory stays flat regardless of
+    // file size.
+    const readAhead = []
+    let nextRead = from
+    const fillReadAhead = () => {
+      while (nextRead < totalChunks && readAhead.length < READ_AHEAD_CHUNKS) {
+        const pending = this._readChunk(transferId, file, nextRead++)
+        pending.catch(() => {}) // surfaced when awaited in order below
+        readAhead.push(pending)
+      }
+    }
+
+    for (let i = from; i < totalChunks; i++) {
+      // Backpressure: pause when the send buffer is saturated
+      if (ch.bufferedAmount > MAX_BUFFER) {
+        await this._waitForDrain(ch)
+      }
+
+      // Flow control: wait for the receiver's sink to catch up
+      while (i - transfer.acked > SEND_WINDOW_CHUNKS && !this._verdict && !transfer.cancelled) {
+        await this._nextControl(["file-ack", "file-done", "file-failed"], null, ch)
+      }
+
+      // Either side paused: hold here until both have resumed (or cancelled)
+      while (transfer.pausedBy.size > 0 && !transfer.cancelled) {
+        await new Promise((resolve) => { transfer.wake = resolve })
+        transfer.wake = null
+      }
+
+      // The receiver gave up (e.g. a chunk failed to decrypt) or either
+      // peer cancelled: stop streaming
+      if (this._verdict || transfer.cancelled) break
+
+      fillReadAhead()
+      const { plaintext, frame } = await readAhead.shift()
+
+      // Chunks re-sent after a resume were hashed the first time round
+      if (i === transfer.hashed) {
+        transfer.hash.update(plaintext)
+        transfer.hashed++
+      }
+
+      this._assertOpen(ch)
+      ch.send(frame)
+
+      const percent = Math.round(((i + 1) / totalChunks) * 100)
+      this.onProgress(file.name, percent, transferId)
+    }
+
+    if (transfer.cancelled) throw new TransferCancelledError(transfer.cancelled)
+    if (this._verdict) return
+
+    // ── 3. Send end sentinel carrying the encrypted digest ────────────────
+    transfer.sha256 ??= transfer.hash.hexDigest()
+    const sealed = await this._seal(transferId, { sha256: transfer.sha256 })
+
+    this._assertOpen(ch)
+    ch.send(JSON.stringify({ type: "file-end", transferId, sealed }))
+  }
+
+  /** Encrypt a small JSON payload for a control frame, bound to the transfer. */
+  async _seal(transferId, payload) {
+    const plaintext = new TextEncoder().encode(JSON.stringify(payload))
+    const sealed = await this.encryptFn(plaintext.buffer, encodeFrameHeader(transferId, SEAL_INDEX))
+    return bytesToBase64(new Uint8Array(sealed))
+  }
+
+  /**
+   * Wait for the file channel to come back, then ask the receiver for the
+   * highest contiguous chunk it holds.
+   * @returns {Promise<number>} index of the first chunk to send again
+   */
+  async _resync(transfer) {
+    const ch = await this._waitForFileChannel()
+    const reply = this._nextControl(["file-ack", "file-done", "file-failed"], ACK_TIMEOUT_MS)
+    ch.send(JSON.stringify({ type: "file-sync", transferId: transfer.id }))
+    const msg = await reply
+
+    // The receiver already finished; _waitForOutcome picks up its verdict
+    if (msg.type !== "file-ack") return transfer.totalChunks
 
-        ch.send(encrypted)
+    transfer.acked = msg.index
+    return msg.index + 1
+  }
 
-        const percent = Math.round(((i + 1) / totalChunks) * 100)
-        this.onProgress(file.name, percent)
+  /**
+   * Resolve once the receiver reports `file-done`; reject with
+   * TransferFailedError on `file-failed`, or ChannelLostError as soon as the
+   * channel closes so the caller can resume. There is no idle timeout: a dead
+   * peer takes the channel down with it.
+   */
+  async _waitForOutcome(transfer) {
+    if (transfer.cancelled) throw new TransferCancelledError(transfer.cancelled)
+    const msg = this._verdict || await this._nextControl(["file-done", "file-failed"], null, this.peer.fileChannel)
+
+    if (msg.type === "file-failed") {
+      throw new TransferFailedError(String(msg.reason || "unknown error").slice(0, 200))
+    }
+  }
+
+  /**
+   * Resolve with the next control frame of one of `types` for this transfer.
+   * Rejects with ChannelLostError on timeout (if given) or when `ch` closes.
+   */
+  _nextControl(types, timeoutMs, ch = null) {
+    return new Promise((resolve, reject) => {
+      const timer = timeoutMs
+        ? setTimeout(() => waiter(null, new ChannelLostError(`Timed out waiting for ${types.join("/")}`)), timeoutMs)
+        : null
+      const onClose = () => waiter(null, new ChannelLostError("File channel closed"))
+      const waiter = (msg, err) => {
+        if (!err && !types.includes(msg.type)) return
+        clearTimeout(timer)
+        this._waiters.delete(waiter)
+        if (ch) ch.removeEventListener("close", onClose)
+        err ? reject(err) : resolve(msg)
       }
 
-      // ── 4. Send end sentinel ─────────────────────────────────────────────
-      ch.send(JSON.stringify({ type: "file-end", transferId }))
+      this._waiters.add(waiter)
+      if (ch) {
+        if (ch.readyState !== "open") return onClose()
+        ch.addEventListener("close", onClose)
+      }
+    })
+  }
+
+  /** Resolve with an open file channel, waiting up to RESUME_TIMEOUT_MS for it to reopen. */
+  _waitForFileChannel() {
+    const current = this.peer.fileChannel
+    if (current && current.readyState === "open") return Promise.resolve(current)
+
+    return new Promise((resolve, reject) => {
+      const finish = (err) => {
+        clearTimeout(timer)
+        this.peer.off("file-channel-ready", onReady)
+        this._waiters.delete(onCancel)
+        err ? reject(err) : resolve(this.peer.fileChannel)
+      }
+      const onReady  = () => finish(null)
+      const onCancel = (msg, err) => { if (err) finish(err) } // cancelled while offline
+      const timer = setTimeout(() => finish(new ChannelLostError("File channel did not reopen")), RESUME_TIMEOUT_MS)
+      this.peer.on("file-channel-ready", onReady)
+      this._waiters.add(onCancel)
+    })
+  }
+
+  _assertOpen(ch) {
+    if (!ch || ch.readyState !== "open" || ch !== this.peer.fileChannel) {
+      throw new ChannelLostError("File channel closed")
+    }
+  }
+
+  /**
+   * Read one chunk from disk and encrypt it into a framed, authenticated chunk.
+   * @param {string} transferId
+   * @param {File}   file
+   * @param {number} index Zero-based chunk index
+   * @returns {Promise<{plaintext: ArrayBuffer, frame: ArrayBuffer}>}
+   */
+  async _readChunk(transferId, file, index) {
+    const start = index * CHUNK_SIZE
+    let plaintext
+    try {
+      plaintext = await file.slice(start, start + CHUNK_SIZE).arrayBuffer()
     } catch (err) {
-      console.error("[FileTransfer] Send error:", err)
-      this.onError("File transfer failed during sending.")
-    } finally {
-      this._sending = false
+      throw new FileReadError("Failed to read file chunk", { cause: err })
     }
+    const header = encodeFrameHeader(transferId, index)
+    return { plaintext, frame: joinFrame(header, await this.encryptFn(plaintext, header)) }
   }
 
-  /** Returns a Promise that resolves once bufferedAmount drops below the threshold. */
+  /**
+   * Returns a Promise that resolves once bufferedAmount drops below the
+   * threshold — or the channel closes, so a dropped channel never stalls us.
+   */
   _waitForDrain(ch) {
     return new Promise((resolve) => {
-      ch.bufferedAmountLowThreshold = MAX_BUFFER / 2
-      ch.onbufferedamountlow = () => {
+      const done = () => {
         ch.onbufferedamountlow = null
+        ch.removeEventListener("close", done)
         resolve()
       }
+      ch.bufferedAmountLowThreshold = MAX_BUFFER / 2
+      ch.onbufferedamountlow = done
+      ch.addEventListener("close", done, { once: true })
     })
   }
 }
@@ -184,33 +728,86 @@ export class FileTransferSender {
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * Receives chunked encrypted file data and reassembles it into a Blob download.
+ * Receives chunked encrypted file data and writes it to a sink in order.
+ *
+ * Decrypted chunks are handed to the sink as soon as every earlier chunk has
+ * been written, then dropped — memory stays flat regardless of file size.
+ * Progress is acknowledged back to the sender (`file-ack`) so an interrupted
+ * transfer can resume from the highest contiguous chunk.
+ *
+ * The plaintext is hashed as it is written; the sink is only closed (and
+ * onComplete fired) once the digest matches the one sealed in `file-end`.
+ * Anything else aborts the sink and fires onFailed.
+ *
+ * The sender's claimed type is checked against the first decrypted chunk
+ * (modules/content_sniffer.js). A file whose content does not match is
+ * downgraded to application/octet-stream on the shared meta object — sinks
+ * read `meta.mimeType` when they close — and onComplete carries a
+ * `typeMismatch` so the UI can warn about it.
+ *
+ * Each file starts as an offer (onOffer). Chunks are only accepted once the
+ * user has accepted it and its sink is open; anything for a transfer that was
+ * never accepted is dropped. Cancelling (from either side) aborts the sink
+ * and drops every buffered chunk straight away.
  *
  * Usage:
- *   const receiver = new FileTransferReceiver(decryptFn, onProgress, onComplete)
+ *   const receiver = new FileTransferReceiver(decryptFn, onProgress, onComplete, { onOffer, createSink, sendControl, onFailed, onCancelled, onStateChange })
  *   // Feed every "file-data" event from PeerConnection:
  *   peer.on("file-data", data => receiver.handleChunk(data))
+ *   await receiver.accept(transferId) / receiver.decline(transferId) // answer an offer (accept inside a user gesture)
+ *   receiver.pause(transferId) / receiver.resume(transferId) / receiver.cancel(transferId)
  */
 export class FileTransferReceiver {
   /**
-   * @param {Function} decryptFn   async (ArrayBuffer) => ArrayBuffer
-   * @param {Function} onProgress  (name: string, percent: number) => void
-   * @param {Function} onComplete  ({name, url, size, mimeType}) => void
+   * @param {Function} decryptFn   async (ArrayBuffer, additionalData?) => ArrayBuffer
+   * @param {Function} onProgress  (name: string, percent: number, transferId: string) => void
+   * @param {Function} onComplete  ({transferId, name, path, url, blob, saved, size, mimeType, typeMismatch, sha256}) => void
+   *   typeMismatch is `{ claimed, detected }` (detected may be null) when the content did not match the claimed type
+   * @param {Object}   [options]
+   * @param {Function} [options.onOffer]     ({transferId, name, path, size, mimeType, declaredType}) => void — ask the user
+   * @param {Function} [options.createSink]  async ({transferId, name, path, size, mimeType}) => sink (see modules/file_sink.js)
+   * @param {Function} [options.sendControl] (frame: string) => void — writes a text frame back to the sender
+   * @param {Function} [options.onFailed]    ({transferId, name, path, size, reason}) => void
+   * @param {Function} [options.onCancelled] ({transferId, name, path, size, by: "local"|"peer"}) => void — also fired when the
+   *   sender withdraws an offer that was not answered yet
+   * @param {Function} [options.onStateChange] ({transferId, paused, by: "local"|"peer"}) => void
    */
-  constructor(decryptFn, onProgress, onComplete) {
-    this.decryptFn  = decryptFn
-    this.onProgress = onProgress
-    this.onComplete = onComplete
+  constructor(decryptFn, onProgress, onComplete, {
+    onOffer = () => {},
+    createSink = openFallbackSink,
+    sendControl = () => {},
+    onFailed = () => {},
+    onCancelled = () => {},
+    onStateChange = () => {}
+  } = {}) {
+    this.decryptFn   = decryptFn
+    this.onProgress  = onProgress
+    this.onComplete  = onComplete
+    this.onOffer     = onOffer
+    this.createSink  = createSink
+    this.sendControl = sendControl
+    this.onFailed    = onFailed
+    this.onCancelled = onCancelled
+    this.onStateChange = onStateChange
+    this._lastVerdict = null  // { transferId, frame } — replayed if a late file-sync (or repeated offer) asks about it
+    this._offers      = new Map() // transferId → meta of offers awaiting an answer
     this._reset()
   }
 
   _reset() {
     this._meta           = null
-    this._chunks         = []      // pre-sized array; slots assigned by arrival index
-    this._nextIndex      = 0       // monotonic counter assigned *before* each await
+    this._sink           = null    // Promise<sink> — resolves once the destination is open
+    this._decrypted      = new Map() // index → plaintext waiting for earlier chunks
+    this._writes         = Promise.resolve() // serialises sink writes in chunk order
+    this._inFlight       = new Set() // chunk indices currently being decrypted
+    this._nextWrite      = 0       // next chunk index to hand to the sink
+    this._written        = { bytes: 0, chunks: 0 } // plaintext the sink has accepted
     this._received       = 0       // completed decrypts
     this._pendingDecrypts = 0      // in-flight decrypt calls
     this._endReceived    = false   // true once file-end frame has been seen
+    this._syncRequested  = false   // sender asked for our position after a reconnect
+    this._hash           = new Sha256() // digest of the plaintext queued for writing
+    this._sealed         = null    // encrypted { sha256 } from the file-end frame
   }
 
   /**
@@ -218,11 +815,15 @@ export class FileTransferReceiver {
    * Handles both JSON control frames (string) and binary chunk frames (ArrayBuffer).
    *
    * Why the ordering/assembly logic works this way:
-   *  - Each binary frame starts an async decrypt. We capture the chunk's slot index
-   *    *before* the await so that even if decrypts complete out of order, each
-   *    result lands in the correct position.
-   *  - `file-end` merely sets a flag; actual assembly is deferred until all
-   *    pending decrypts have resolved (_tryAssemble checks both conditions).
+   *  - Each binary frame carries its transferId and chunk index in a header that
+   *    is authenticated as AES-GCM additional data. Chunks are placed by that
+   *    index, never by arrival order, so decrypts may complete in any order.
+   *  - Frames for another transfer, past `totalChunks`, or for a slot we already
+   *    hold (duplicates / replays) are rejected before decrypting.
+   *  - Decrypted chunks wait in `_decrypted` only until every earlier chunk has
+   *    been queued for writing, then leave memory once the sink has them.
+   *  - `file-end` merely sets a flag; the sink is closed only after all pending
+   *    decrypts have resolved (_tryFinalize checks both conditions).
    * @param {string|ArrayBuffer} data
    */
   async handleChunk(data) {
@@ -231,78 +832,386 @@ export class FileTransferReceiver {
       let msg
       try { msg = JSON.parse(data) } catch { return }
 
-      if (msg.type === "file-start") {
-        this._reset()
-        const totalChunks = normalizeTotalChunks(msg.totalChunks)
-        if (!totalChunks) {
-          this._reset()
-          return
-        }
-
-        this._meta = {
-          transferId: String(msg.transferId || ""),
-          name: normalizeFileName(msg.name),
-          size: normalizeFileSize(msg.size),
-          totalChunks,
-          mimeType: normalizeMimeType(msg.mimeType)
-        }
-        this._chunks = new Array(totalChunks) // pre-allocate for ordered insertion
+      if (msg.type === "file-offer") {
+        this._handleOffer(msg)
       } else if (msg.type === "file-end") {
+        if (!this._isCurrent(msg.transferId)) return
+        this._sealed = typeof msg.sealed === "string" ? msg.sealed : null
         this._endReceived = true
-        this._tryAssemble()
+        this._tryFinalize()
+      } else if (msg.type === "file-sync") {
+        this._handleSync(normalizeTransferId(msg.transferId))
+      } else if (msg.type === "file-cancel") {
+        if (this._isCurrent(msg.transferId)) this._cancel("peer")
+        else this._withdrawOffer(normalizeTransferId(msg.transferId))
+      } else if (msg.type === "file-pause" || msg.type === "file-resume") {
+        if (this._isCurrent(msg.transferId)) {
+          this.onStateChange({ transferId: this._meta.transferId, paused: msg.type === "file-pause", by: "peer" })
+        }
       }
     } else if (data instanceof ArrayBuffer) {
       // Binary chunk frame
       if (!this._meta) return
+      const meta  = this._meta
+      const frame = decodeFrame(data)
+      if (!frame || !this._acceptsChunk(frame)) return
 
-      // Capture this chunk's position before any await
-      const myIndex = this._nextIndex++
-      if (myIndex >= this._meta.totalChunks) return
+      const index = frame.index
+      this._inFlight.add(index)
       this._pendingDecrypts++
 
       try {
-        const decrypted = await this.decryptFn(data)
-        this._chunks[myIndex] = decrypted  // write into the correct slot
+        // The header is additional data: a chunk moved to another slot or
+        // transfer fails authentication here.
+        const decrypted = await this.decryptFn(frame.body, frame.header)
+        if (this._meta !== meta) return // transfer was replaced while decrypting
+
+        this._decrypted.set(index, decrypted)
         this._received++
+        this._queueContiguousWrites()
 
-        const percent = Math.round((this._received / this._meta.totalChunks) * 100)
-        this.onProgress(this._meta.name, percent)
+        const percent = Math.round((this._received / meta.totalChunks) * 100)
+        this.onProgress(meta.name, percent, meta.transferId)
       } catch (err) {
         console.error("[FileTransfer] Chunk decrypt error:", err)
+        // Fail fast: later chunks could never be written past the gap
+        if (this._meta === meta) {
+          this._discard()
+          this._reportFailure(meta, `chunk ${index + 1} of ${meta.totalChunks} could not be decrypted`)
+        }
       } finally {
-        this._pendingDecrypts--
-        this._tryAssemble()
+        if (this._meta === meta) {
+          this._inFlight.delete(index)
+          this._pendingDecrypts--
+          this._answerSync()
+          this._tryFinalize()
+        }
       }
     }
   }
 
   /**
-   * Assemble only when the end-of-transfer sentinel has been received AND
-   * every in-flight decrypt has finished. This prevents premature assembly
-   * when `file-end` races ahead of the last chunk decrypts.
+   * Record a new offer and ask the user. A repeated offer (the sender
+   * reconnected while waiting) is answered again if it was already decided.
    */
-  _tryAssemble() {
-    if (this._endReceived && this._pendingDecrypts === 0 && this._meta) {
-      this._assemble()
+  _handleOffer(msg) {
+    const transferId  = normalizeTransferId(msg.transferId)
+    const totalChunks = normalizeTotalChunks(msg.totalChunks)
+    if (!transferId || !totalChunks || this._offers.has(transferId)) return
+
+    if (this._isCurrent(transferId)) {
+      this._sendControl({ type: "file-accept", transferId })
+      return
     }
+    if (this._lastVerdict && this._lastVerdict.transferId === transferId) {
+      this._sendControl(this._lastVerdict.frame)
+      return
+    }
+
+    const meta = {
+      transferId,
+      name: normalizeFileName(msg.name),
+      path: normalizeRelativePath(msg.path),
+      size: normalizeFileSize(msg.size),
+      totalChunks,
+      mimeType: normalizeMimeType(msg.mimeType),
+      declaredType: normalizeDeclaredType(msg.mimeType),
+      typeMismatch: null
+    }
+    this._offers.set(transferId, meta)
+    this.onOffer(meta)
   }
 
-  /** Assemble all decrypted chunks into a Blob and fire onComplete. */
-  _assemble() {
-    if (!this._meta || this._chunks.length === 0) return
+  /**
+   * Accept an offer: open its sink first (call this from the click handler so
+   * a save picker gets the user gesture), then tell the sender to start.
+   * @returns {Promise<boolean>} false if the offer is gone, or the sink could
+   *   not be opened (the offer is then declined)
+   */
+  async accept(transferId) {
+    const meta = this._offers.get(transferId)
+    if (!meta) return false
+
+    let sink
+    try {
+      sink = await this.createSink(meta)
+    } catch (err) {
+      console.warn("[FileTransfer] No destination for the file, declining:", err)
+      if (this._offers.get(transferId) === meta) this.decline(transferId)
+      return false
+    }
+
+    // Withdrawn while the user was picking a destination
+    if (this._offers.get(transferId) !== meta) {
+      sink.abort().catch(() => {})
+      return false
+    }
+
+    this._offers.delete(transferId)
+    this._discard()
+    this._meta = meta
+    this._sink = Promise.resolve(sink)
+    this._sendControl({ type: "file-accept", transferId })
+    return true
+  }
 
-    // Filter out any unfilled slots (defensive — should not happen in practice)
-    const safeChunks = this._chunks.filter(Boolean)
-    const blob = new Blob(safeChunks, { type: this._meta.mimeType })
-    const url  = URL.createObjectURL(blob)
+  /** Decline an offer; the sender reports it and moves on to its next file. */
+  decline(transferId) {
+    if (!this._offers.delete(transferId)) return
+    this._lastVerdict = { transferId, frame: { type: "file-decline", transferId } }
+    this._sendControl(this._lastVerdict.frame)
+  }
+
+  /** The sender cancelled (or let expire) an offer nobody answered yet. */
+  _withdrawOffer(transferId) {
+    const meta = this._offers.get(transferId)
+    if (!meta) return
+    this._offers.delete(transferId)
+    this.onCancelled({ transferId, name: meta.name, path: meta.path.join("/"), size: meta.size, by: "peer" })
+  }
+
+  /** Cancel the incoming transfer and tell the sender to stop. */
+  cancel(transferId) {
+    if (!this._isCurrent(transferId)) return
+    this._sendControl({ type: "file-cancel", transferId: this._meta.transferId })
+    this._cancel("local")
+  }
+
+  /**
+   * Ask the sender to hold the incoming transfer until resume().
+   * @returns {boolean} false if `transferId` is not the incoming transfer
+   */
+  pause(transferId) {
+    return this._setPaused(transferId, true)
+  }
 
-    this.onComplete({
-      name: this._meta.name,
-      url,
-      size: blob.size,
-      mimeType: this._meta.mimeType
+  /** @returns {boolean} false if `transferId` is not the incoming transfer */
+  resume(transferId) {
+    return this._setPaused(transferId, false)
+  }
+
+  _setPaused(transferId, paused) {
+    if (!this._isCurrent(transferId)) return false
+
+    const id = this._meta.transferId
+    this._sendControl({ type: paused ? "file-pause" : "file-resume", transferId: id })
+    this.onStateChange({ transferId: id, paused, by: "local" })
+    return true
+  }
+
+  /**
+   * Drop the transfer and everything buffered for it. A late file-sync from
+   * the sender is answered with the cancellation.
+   */
+  _cancel(by) {
+    const meta = this._meta
+    this._discard()
+    this._lastVerdict = { transferId: meta.transferId, frame: { type: "file-cancel", transferId: meta.transferId } }
+    this.onCancelled({ transferId: meta.transferId, name: meta.name, path: meta.path.join("/"), size: meta.size, by })
+  }
+
+  /** Reject chunks for another transfer, out of range, too far ahead, or already held. */
+  _acceptsChunk({ transferId, index }) {
+    const meta = this._meta
+    let reason = null
+
+    if (transferId !== meta.transferId) reason = "belongs to another transfer"
+    else if (index >= meta.totalChunks) reason = "is past totalChunks"
+    else if (index >= this._written.chunks + MAX_REORDER_WINDOW) reason = "is too far ahead"
+    else if (index < this._nextWrite || this._decrypted.has(index) || this._inFlight.has(index)) reason = "is a duplicate"
+
+    if (reason) {
+      devLog(`[FileTransfer] Dropping chunk ${index}: it ${reason}`)
+      return false
+    }
+    return true
+  }
+
+  _isCurrent(transferId) {
+    return Boolean(this._meta) && this._meta.transferId === normalizeTransferId(transferId)
+  }
+
+  /**
+   * Acknowledge the last chunk the sink wrote on every ACK_INTERVAL boundary
+   * and at the end; the sender's window moves on these.
+   */
+  _maybeAck(meta, written) {
+    if (this._written !== written) return // the transfer was discarded meanwhile
+    const count = written.chunks
+    if (count % ACK_INTERVAL_CHUNKS === 0 || count === meta.totalChunks) {
+      this._sendAck(meta.transferId, count - 1)
+    }
+  }
+
+  _sendAck(transferId, index) {
+    this._sendControl({ type: "file-ack", transferId, index })
+  }
+
+  _sendControl(frame) {
+    try {
+      this.sendControl(JSON.stringify(frame))
+    } catch (err) {
+      console.warn("[FileTransfer] Could not send control frame:", err)
+    }
+  }
+
+  /**
+   * The sender reconnected and wants to know where to resume. Answer once the
+   * decrypts already in flight have landed, and forget anything past the
+   * contiguous prefix — those chunks will be sent again.
+   */
+  _handleSync(transferId) {
+    if (this._isCurrent(transferId)) {
+      this._syncRequested = true
+      this._answerSync()
+    } else if (this._lastVerdict && this._lastVerdict.transferId === transferId) {
+      this._sendControl(this._lastVerdict.frame)
+    } else {
+      this._sendAck(transferId, -1)
+    }
+  }
+
+  _answerSync() {
+    if (!this._syncRequested || this._pendingDecrypts > 0) return
+
+    this._syncRequested = false
+    this._decrypted.clear()
+    this._received = this._nextWrite
+    this._sendAck(this._meta.transferId, this._nextWrite - 1)
+  }
+
+  /** Queue every decrypted chunk that directly follows the last written one. */
+  _queueContiguousWrites() {
+    while (this._decrypted.has(this._nextWrite)) {
+      const chunk = this._decrypted.get(this._nextWrite)
+      if (this._nextWrite === 0) this._checkContentType(chunk)
+      this._decrypted.delete(this._nextWrite)
+      this._nextWrite++
+      this._hash.update(chunk)
+      this._queueWrite(chunk)
+    }
+  }
+
+  /** Downgrade the file to a generic binary if its first bytes contradict the claimed type. */
+  _checkContentType(firstChunk) {
+    const meta = this._meta
+    if (meta.mimeType === SAFE_MIME_FALLBACK) return
+
+    const detected = sniffMimeType(firstChunk)
+    if (detected === meta.mimeType) return
+
+    console.warn("[FileTransfer] Content does not match the claimed type", { claimed: meta.mimeType, detected })
+    meta.typeMismatch = { claimed: meta.mimeType, detected }
+    meta.mimeType = SAFE_MIME_FALLBACK
+  }
+
+  _queueWrite(chunk) {
+    const meta    = this._meta
+    const sink    = this._sink
+    const written = this._written
+    // Read before writing: ServiceWorkerSink transfers (detaches) the buffer
+    const length  = chunk.byteLength
+    this._writes = this._writes.then(async () => {
+      await (await sink).write(chunk)
+      written.bytes += length
+      written.chunks++
+      this._maybeAck(meta, written)
     })
+    this._writes.catch(() => {}) // surfaced when _finalize awaits the chain
+  }
+
+  /**
+   * Finalize only when the end-of-transfer sentinel has been received AND
+   * every in-flight decrypt has finished. This prevents closing the sink
+   * early when `file-end` races ahead of the last chunk decrypts.
+   */
+  _tryFinalize() {
+    if (this._endReceived && this._pendingDecrypts === 0 && this._meta) {
+      this._finalize()
+    }
+  }
+
+  /**
+   * Verify the digest, then close the sink and fire onComplete — or abort
+   * the sink and report the failure to both peers.
+   */
+  async _finalize() {
+    const meta    = this._meta
+    const sink    = this._sink
+    const writes  = this._writes
+    const written = this._written
+    const hash    = this._hash
+    const sealed  = this._sealed
+    const missing = meta.totalChunks - this._nextWrite
+    this._decrypted.clear() // anything stranded behind a gap is unusable
+    this._meta = null       // stop accepting frames for this transfer
+
+    try {
+      await writes
+      if (missing > 0) {
+        throw new IntegrityError(`${missing} of ${meta.totalChunks} chunks missing`)
+      }
+
+      const expected = await this._unsealDigest(meta.transferId, sealed)
+      const actual   = hash.hexDigest()
+      if (expected !== actual) {
+        throw new IntegrityError("SHA-256 mismatch")
+      }
+
+      const result = await (await sink).close()
+      this._lastVerdict = { transferId: meta.transferId, frame: { type: "file-done", transferId: meta.transferId } }
+      this._sendControl(this._lastVerdict.frame)
+
+      this.onComplete({
+        transferId: meta.transferId,
+        name: meta.name,
+        path: meta.path.join("/"),
+        url: result.url,
+        blob: result.blob || null,
+        saved: result.saved,
+        size: written.bytes,
+        mimeType: meta.mimeType,
+        typeMismatch: meta.typeMismatch,
+        sha256: actual
+      })
+    } catch (err) {
+      console.error("[FileTransfer] File failed verification:", err)
+      sink.then((s) => s.abort()).catch(() => {})
+      this._reportFailure(meta, err instanceof IntegrityError ? err.message : "file could not be saved")
+    } finally {
+      if (this._meta === null) this._reset()
+    }
+  }
 
+  /** Decrypt the `{ sha256 }` payload sealed into the file-end frame of this transfer. */
+  async _unsealDigest(transferId, sealed) {
+    if (!sealed) throw new IntegrityError("digest missing")
+
+    let payload
+    try {
+      const plaintext = await this.decryptFn(base64ToBytes(sealed).buffer, encodeFrameHeader(transferId, SEAL_INDEX))
+      payload = JSON.parse(new TextDecoder().decode(plaintext))
+    } catch {
+      throw new IntegrityError("digest could not be decrypted")
+    }
+
+    const digest = String(payload && payload.sha256 || "")
+    if (!/^[0-9a-f]{64}$/.test(digest)) throw new IntegrityError("digest malformed")
+    return digest
+  }
+
+  /** Tell the sender the transfer failed and surface it locally. */
+  _reportFailure(meta, reason) {
+    this._lastVerdict = { transferId: meta.transferId, frame: { type: "file-failed", transferId: meta.transferId, reason } }
+    this._sendControl(this._lastVerdict.frame)
+    this.onFailed({ transferId: meta.transferId, name: meta.name, path: meta.path.join("/"), size: meta.size, reason })
+  }
+
+  /** Abandon the in-flight transfer (if any) and discard what was written. */
+  _discard() {
+    if (this._meta && this._sink) {
+      this._sink.then((s) => s.abort()).catch(() => {})
+    }
     this._reset()
   }
 }
@@ -0,0 +1,110 @@
+/**
+ * Versioned message envelope for the "nullroom" chat data channel.
+ *
+ * Every frame on the channel is one AES-GCM encrypted JSON envelope:
+ *
+ *   { v: PROTOCOL_VERSION, type: "chat", id: "<uuid>", ts: <sender ms>, payload: { … } }
+ *
+ * `type` selects the handler on the receiving side; unknown types are
+ * ignored so newer builds can add message kinds without breaking older ones.
+ * Peers open with a `hello` envelope so a build running a different
+ * protocol version is reported as such instead of failing to decrypt.
+ *
+ * Message ids are what receipts and later references (replies, edits…)
+ * point at, so a sender may pick the id up front.
+ *
+ * Usage:
+ *   const frame = await sealEnvelope(createEnvelope("chat", { text }), key)
+ *   peer.send(frame)
+ *   const envelope = await openEnvelope(frame, key) // throws EnvelopeError
+ */
+
+import { encrypt, decrypt } from "modules/encryption"
+
+/** Bump when the envelope shape or the meaning of an existing type changes. */
+export const PROTOCOL_VERSION = 1
+
+const MAX_TYPE_LENGTH = 32
+const MAX_ID_LENGTH   = 64
+const TYPE_FORMAT     = /^[a-z][a-z0-9_-]*$/
+
+/**
+ * Raised when a decrypted frame is not a usable envelope.
+ * `reason` is "legacy" (a pre-envelope client sent bare text), "version"
+ * (another protocol version) or "malformed".
+ */
+export class EnvelopeError extends Error {
+  constructor(reason, message, { version = null, plaintext = null } = {}) {
+    super(message)
+    this.reason    = reason
+    this.version   = version   // the peer's protocol version, for "version"
+    this.plaintext = plaintext // the decrypted text, for "legacy"
+  }
+}
+
+/**
+ * @param {string} type
+ * @param {Object} [payload]
+ * @param {Object} [options]
+ * @param {string} [options.id] defaults to a fresh UUID
+ * @returns {{v: number, type: string, id: string, ts: number, payload: Object}}
+ */
+export function createEnvelope(type, payload = {}, { id = crypto.randomUUID() } = {}) {
+  return { v: PROTOCOL_VERSION, type, id, ts: Date.now(), payload }
+}
+
+/**
+ * Encrypt an envelope into a channel frame.
+ * @returns {Promise<string>} Base64 ciphertext (see modules/encryption.js)
+ */
+export async function sealEnvelope(envelope, key) {
+  return encrypt(JSON.stringify(envelope), key)
+}
+
+/**
+ * Decrypt and validate a channel frame. Decryption errors propagate as-is.
+ * @param {string} frame
+ * @param {CryptoKey} key
+ * @returns {Promise<{v: number, type: string, id: string, ts: number, payload: Object}>}
+ * @throws {EnvelopeError}
+ */
+export async function openEnvelope(frame, key) {
+  const plaintext = await decrypt(String(frame), key)
+  return parseEnvelope(plaintext)
+}
+
+/** Validate decrypted JSON as an envelope of this protocol version. */
+export function parseEnvelope(plaintext) {
+  let data
+  try {
+    data = JSON.parse(plaintext)
+  } catch {
+    data = null
+  }
+
+  if (!data || typeof data !== "object" || Array.isArray(data) || !("v" in data)) {
+    throw new EnvelopeError("legacy", "Frame is not an envelope", { plaintext })
+  }
+  if (!Number.isInteger(data.v) || data.v < 1) {
+    throw new EnvelopeError("malformed", "Envelope version is invalid")
+  }
+  if (data.v !== PROTOCOL_VERSION) {
+    throw new EnvelopeError("version", `Envelope version ${data.v} is not supported`, { version: data.v })
+  }
+
+  const { type, id, ts, payload } = data
+  if (typeof type !== "string" || type.length > MAX_TYPE_LENGTH || !TYPE_FORMAT.test(type)) {
+    throw new EnvelopeError("malformed", "Envelope type is invalid")
+  }
+  if (typeof id !== "string" || id.length === 0 || id.length > MAX_ID_LENGTH) {
+    throw new EnvelopeError("malformed", "Envelope id is invalid")
+  }
+  if (!Number.isFinite(ts)) {
+    throw new EnvelopeError("malformed", "Envelope timestamp is invalid")
+  }
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    throw new EnvelopeError("malformed", "Envelope payload is invalid")
+  }
+
+  return { v: data.v, type, id, ts, payload }
+}
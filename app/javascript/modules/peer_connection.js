@@ -5,18 +5,55 @@
 
 import { devInfo, devLog } from "modules/dev_logger"
 
+const DISCONNECT_GRACE_MS = 3_000  // "disconnected" often recovers by itself; wait before restarting ICE
+const RESTART_TIMEOUT_MS  = 10_000 // time each ICE restart gets to reconnect
+const MAX_ICE_RESTARTS    = 3      // after that the connection is given up as closed
+
+// "candidate:… typ relay …" — the candidate type names where the address comes from
+const CANDIDATE_TYPE = /\styp (\w+)/
+
+function isRelayCandidate(candidate) {
+  return CANDIDATE_TYPE.exec(candidate)?.[1] === "relay"
+}
+
+// Drop every non-relay candidate line from an SDP (candidates gathered before it was sent)
+function stripNonRelayCandidates(sdp) {
+  return sdp
+    .split("\r\n")
+    .filter((line) => !line.startsWith("a=candidate:") || isRelayCandidate(line))
+    .join("\r\n")
+}
+
+// "a=fingerprint:sha-256 AB:CD:…" — the DTLS certificate hash negotiated in the SDP
+const FINGERPRINT_LINE = /^a=fingerprint:(\S+) ([0-9A-Fa-f:]+)\s*$/gm
+
+function parseFingerprints(sdp) {
+  const fingerprints = new Set()
+  for (const [, algorithm, value] of String(sdp || "").matchAll(FINGERPRINT_LINE)) {
+    fingerprints.add(`${algorithm.toLowerCase()} ${value.toUpperCase()}`)
+  }
+  return fingerprints.size > 0 ? [...fingerprints].sort().join(",") : null
+}
+
 export class PeerConnection {
   constructor(options = {}) {
     this.initiator = options.initiator || false
     this.iceServers = options.iceServers || []
     this.trickleIce = options.trickleIce !== false
+    // Only use TURN relays, so the peer never sees our host or public address
+    this.relayOnly = options.relayOnly === true
 
     this.pc = null
     this.dataChannel = null
     this.fileChannel = null
     this.listeners = {}
     this._connected = false
+    this._destroyed = false
     this._pendingCandidates = []
+    this._reconnecting = false
+    this._restartAttempts = 0
+    this._restartTimer = null
+    this._signalingLost = false
 
     this._init()
   }
@@ -26,12 +63,15 @@ export class PeerConnection {
 
     // Create RTCPeerConnection
     this.pc = new RTCPeerConnection({
-      iceServers: this.iceServers
+      iceServers: this.iceServers,
+      iceTransportPolicy: this.relayOnly ? "relay" : "all"
     })
 
     // Handle ICE candidates
     this.pc.onicecandidate = (event) => {
       if (event.candidate && this.trickleIce) {
+        // The relay policy already limits gathering; never signal anything else regardless
+        if (this.relayOnly && !isRelayCandidate(event.candidate.candidate)) return
         this._emit("signal", {
           type: "candidate",
           candidate: event.candidate
@@ -39,17 +79,33 @@ export class PeerConnection {
       }
     }
 
-    // Handle connection state changes
+    // Handle connection state changes. Once a connection has worked, losing the
+    // network (e.g. Wi-Fi to mobile data) restarts ICE instead of closing; see _restartIce
     this.pc.onconnectionstatechange = () => {
-      devInfo("[PeerConnection] Connection state", this.pc.connectionState)
-      if (this.pc.connectionState === "connected") {
-        this._connected = true
-        this._emit("connect")
-      } else if (this.pc.connectionState === "failed" || this.pc.connectionState === "closed") {
+      const state = this.pc.connectionState
+      devInfo("[PeerConnection] Connection state", state)
+      if (state === "connected") {
+        if (this._reconnecting) {
+          this._handleReconnected()
+        } else {
+          this._connected = true
+          this._emit("connect")
+        }
+      } else if (state === "disconnected" && this._connected) {
+        this._scheduleRestart(DISCONNECT_GRACE_MS)
+      } else if (state === "failed" && this._connected) {
+        this._scheduleRestart(0)
+      } else if (state === "failed" || state === "closed") {
         this._emit("close")
       }
     }
 
+    // The selected candidate pair can change mid-session (e.g. a network switch)
+    this.pc.oniceconnectionstatechange = () => {
+      const state = this.pc.iceConnectionState
+      if (state === "connected" || state === "completed") this._emit("route-change")
+    }
+
     this.pc.onicecandidateerror = (error) => {
       console.warn("ICE candidate error:", error)
     }
@@ -78,6 +134,10 @@ export class PeerConnection {
     })
     this._setupDataChannel()
 
+    this._createFileChannel()
+  }
+
+  _createFileChannel() {
     // Dedicated channel for P2P file transfer (binary, ordered)
     this.fileChannel = this.pc.createDataChannel("nullroom-files", {
       ordered: true
@@ -88,10 +148,14 @@ export class PeerConnection {
   _setupDataChannel() {
     this.dataChannel.onopen = () => {
       this._connected = true
+      // "connect" may already have fired from connectionState; this one
+      // guarantees the chat channel itself can carry messages
+      this._emit("channel-open")
       this._emit("connect")
     }
 
     this.dataChannel.onclose = () => {
+      this._emit("channel-closed")
       this._emit("close")
     }
 
@@ -105,30 +169,43 @@ export class PeerConnection {
   }
 
   _setupFileChannel() {
-    this.fileChannel.binaryType = "arraybuffer"
+    const channel = this.fileChannel
+    channel.binaryType = "arraybuffer"
 
-    this.fileChannel.onopen = () => {
+    channel.onopen = () => {
       this._emit("file-channel-ready")
     }
 
-    this.fileChannel.onmessage = (event) => {
+    // A dropped file channel must not end the room: the initiator reopens it
+    // (the other side picks it up via ondatachannel) so transfers can resume.
+    channel.onclose = () => {
+      if (this._destroyed || channel !== this.fileChannel) return
+      devLog("[PeerConnection] File channel closed")
+      this._emit("file-channel-closed")
+
+      if (this.initiator && this.pc.connectionState === "connected") {
+        this._createFileChannel()
+      }
+    }
+
+    channel.onmessage = (event) => {
       this._emit("file-data", event.data)
     }
 
-    this.fileChannel.onerror = (error) => {
+    channel.onerror = (error) => {
       console.warn("[PeerConnection] File channel error:", error)
     }
   }
 
-  async _createOffer() {
-    devLog("[PeerConnection] Creating offer")
+  async _createOffer(options = {}) {
+    devLog("[PeerConnection] Creating offer", options)
     try {
-      const offer = await this.pc.createOffer()
+      const offer = await this.pc.createOffer(options)
       await this.pc.setLocalDescription(offer)
 
       this._emit("signal", {
         type: "offer",
-        sdp: this.pc.localDescription
+        sdp: this._outgoingDescription()
       })
     } catch (error) {
       console.error("[PeerConnection] Error creating offer:", error)
@@ -144,7 +221,7 @@ export class PeerConnection {
 
       this._emit("signal", {
         type: "answer",
-        sdp: this.pc.localDescription
+        sdp: this._outgoingDescription()
       })
     } catch (error) {
       console.error("[PeerConnection] Error creating answer:", error)
@@ -164,10 +241,13 @@ export class PeerConnection {
         await this._flushPendingCandidates()
       } else if (data.type === "candidate" && data.candidate) {
         if (this.pc.remoteDescription && this.pc.remoteDescription.type) {
-          await this.pc.addIceCandidate(new RTCIceCandidate(data.candidate))
+          await this._addCandidate(data.candidate)
         } else {
           this._pendingCandidates.push(data.candidate)
         }
+      } else if (data.type === "restart-request" && this.initiator) {
+        // The other side lost the connection; only the initiator offers, to avoid glare
+        this._restartIce({ requested: true })
       }
     } catch (error) {
       console.error("[PeerConnection] Error processing signal:", error)
@@ -182,16 +262,113 @@ export class PeerConnection {
     this._pendingCandidates = []
 
     for (const candidate of queued) {
+      await this._addCandidate(candidate)
+    }
+  }
+
+  // Candidates from before an ICE restart are stale, not a reason to give up.
+  async _addCandidate(candidate) {
+    try {
       await this.pc.addIceCandidate(new RTCIceCandidate(candidate))
+    } catch (error) {
+      console.warn("[PeerConnection] Ignoring ICE candidate:", error.message)
     }
   }
 
+  _scheduleRestart(delay) {
+    if (this._destroyed || this._restartTimer) return
+    this._restartTimer = setTimeout(() => this._restartIce(), delay)
+  }
+
+  // Bring a dropped connection back over fresh ICE candidates, renegotiated
+  // through the signaling channel. Emits "reconnecting" for each attempt and
+  // "close" once MAX_ICE_RESTARTS attempts have failed to reconnect. While
+  // signaling is down attempts are held instead, without spending the budget.
+  _restartIce({ requested = false } = {}) {
+    if (this._destroyed) return
+    if (requested && this._reconnecting && this._restartTimer) return // an attempt is already under way
+    clearTimeout(this._restartTimer)
+    this._restartTimer = null
+
+    if (this.pc.connectionState === "connected") {
+      // Back without a state change event, e.g. after a restart the other side asked for
+      if (this._reconnecting) this._handleReconnected()
+      // Our path still works: renegotiate only so the other side gets fresh candidates
+      if (requested) this._offerIceRestart()
+      return
+    }
+
+    if (this._signalingLost) {
+      // Neither an offer nor a restart request could reach the other side
+      this._reconnecting = true
+      this._emit("reconnecting", { attempt: this._restartAttempts, maxAttempts: MAX_ICE_RESTARTS })
+      return
+    }
+
+    if (this._restartAttempts >= MAX_ICE_RESTARTS) {
+      devInfo("[PeerConnection] Giving up after", MAX_ICE_RESTARTS, "ICE restarts")
+      this._reconnecting = false
+      this._emit("close")
+      return
+    }
+
+    this._restartAttempts++
+    this._reconnecting = true
+    this._emit("reconnecting", { attempt: this._restartAttempts, maxAttempts: MAX_ICE_RESTARTS })
+
+    if (this.initiator) {
+      this._offerIceRestart()
+    } else {
+      this._emit("signal", { type: "restart-request" })
+    }
+
+    this._restartTimer = setTimeout(() => this._restartIce(), RESTART_TIMEOUT_MS)
+  }
+
+  _offerIceRestart() {
+    if (typeof this.pc.restartIce === "function") this.pc.restartIce()
+    this._createOffer({ iceRestart: true })
+  }
+
+  _handleReconnected() {
+    clearTimeout(this._restartTimer)
+    this._restartTimer = null
+    this._reconnecting = false
+    this._restartAttempts = 0
+    this._emit("reconnected")
+  }
+
+  /**
+   * The signaling channel (ours or the peer's) went away, e.g. a WebSocket
+   * dropped while switching networks. ICE restarts wait for signalingRestored().
+   */
+  signalingLost() {
+    this._signalingLost = true
+  }
+
+  /**
+   * Signals reach the other side again: restart ICE straight away, with a
+   * fresh budget, if the connection is still down.
+   */
+  signalingRestored() {
+    this._signalingLost = false
+    if (this._destroyed || !this._connected || this.isConnected()) return
+    this._restartAttempts = 0
+    this._restartIce()
+  }
+
+  isConnected() {
+    return this.pc.connectionState === "connected"
+  }
+
+  // Returns false when the chat channel is not open and nothing was sent.
   send(data) {
     if (this.dataChannel && this.dataChannel.readyState === "open") {
       this.dataChannel.send(data)
-    } else {
-      console.warn("DataChannel not ready, cannot send data")
+      return true
     }
+    console.warn("DataChannel not ready, cannot send data")
+    return false
   }
 
   sendFile(data) {
@@ -202,6 +379,47 @@ export class PeerConnection {
     }
   }
 
+  // Local description to signal; in relay-only mode without any non-relay candidates.
+  _outgoingDescription() {
+    const { type, sdp } = this.pc.localDescription
+    return { type, sdp: this.relayOnly ? stripNonRelayCandidates(sdp) : sdp }
+  }
+
+  // "relayed" when the selected candidate pair goes through TURN, "direct"
+  // otherwise, or null while no pair is selected.
+  async getRouteType() {
+    if (!this.pc) return null
+
+    const stats = await this.pc.getStats()
+    let pair = null
+    stats.forEach((report) => {
+      if (report.type === "transport" && report.selectedCandidatePairId) {
+        pair = stats.get(report.selectedCandidatePairId)
+      }
+    })
+    // Firefox exposes no transport report; fall back to the selected/nominated pair
+    if (!pair) {
+      stats.forEach((report) => {
+        if (report.type === "candidate-pair" && report.state === "succeeded" && (report.selected || report.nominated)) {
+          pair = report
+        }
+      })
+    }
+    if (!pair) return null
+
+    const local  = stats.get(pair.localCandidateId)
+    const remote = stats.get(pair.remoteCandidateId)
+    return local?.candidateType === "relay" || remote?.candidateType === "relay" ? "relayed" : "direct"
+  }
+
+  // DTLS fingerprints of both ends as negotiated in the SDP, or null before
+  // both descriptions are set. A relay that swapped the signaling shows up here.
+  getFingerprints() {
+    const local  = parseFingerprints(this.pc?.localDescription?.sdp)
+    const remote = parseFingerprints(this.pc?.remoteDescription?.sdp)
+    return local && remote ? { local, remote } : null
+  }
+
   // Public method to manually create offer (for initiator)
   createOffer() {
     if (!this.dataChannel) {
@@ -218,6 +436,11 @@ export class PeerConnection {
     this.listeners[event].push(callback)
   }
 
+  off(event, callback) {
+    if (!this.listeners[event]) return
+    this.listeners[event] = this.listeners[event].filter(listener => listener !== callback)
+  }
+
   _emit(event, data) {
     if (this.listeners[event]) {
       this.listeners[event].forEach(callback => callback(data))
@@ -225,6 +448,8 @@ export class PeerConnection {
   }
 
   destroy() {
+    this._destroyed = true
+    clearTimeout(this._restartTimer)
     if (this.dataChannel) {
       this.dataChannel.close()
     }
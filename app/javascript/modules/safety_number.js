@@ -0,0 +1,60 @@
+/**
+ * Safety numbers for nullroom connections.
+ *
+ * Signaling is relayed by the server, which could swap each side's SDP for
+ * its own and sit between the peers. Both browsers therefore hash the DTLS
+ * fingerprints they actually negotiated together with the room's
+ * verification key; the result is shown as a short run of emoji that the two
+ * people compare out of band (a call, in person). Matching symbols mean both
+ * ends of the DTLS session belong to them.
+ *
+ * Usage:
+ *   const symbols = await computeSafetyNumber(verificationKey, peer.getFingerprints())
+ *   symbols.map(({ emoji, name }) => …)
+ */
+
+/** Symbols in a safety number: 6 × 6 bits = 36 bits. */
+export const SAFETY_NUMBER_LENGTH = 6
+
+// 64 symbols that are easy to tell apart and to name aloud
+const SYMBOLS = [
+  ["🐶", "dog"], ["🐱", "cat"], ["🐭", "mouse"], ["🐰", "rabbit"],
+  ["🦊", "fox"], ["🐻", "bear"], ["🐼", "panda"], ["🐨", "koala"],
+  ["🐯", "tiger"], ["🦁", "lion"], ["🐮", "cow"], ["🐷", "pig"],
+  ["🐸", "frog"], ["🐵", "monkey"], ["🐔", "chicken"], ["🐧", "penguin"],
+  ["🐦", "bird"], ["🦆", "duck"], ["🦉", "owl"], ["🐴", "horse"],
+  ["🦄", "unicorn"], ["🐝", "bee"], ["🐛", "caterpillar"], ["🦋", "butterfly"],
+  ["🐌", "snail"], ["🐢", "turtle"], ["🐍", "snake"], ["🐙", "octopus"],
+  ["🦀", "crab"], ["🐠", "fish"], ["🐬", "dolphin"], ["🐳", "whale"],
+  ["🌵", "cactus"], ["🌲", "tree"], ["🍀", "clover"], ["🍁", "leaf"],
+  ["🍄", "mushroom"], ["🌻", "sunflower"], ["🌙", "moon"], ["⭐", "star"],
+  ["🔥", "fire"], ["🌈", "rainbow"], ["⛄", "snowman"], ["💧", "droplet"],
+  ["🍎", "apple"], ["🍌", "banana"], ["🍇", "grapes"], ["🍓", "strawberry"],
+  ["🍒", "cherries"], ["🍋", "lemon"], ["🥕", "carrot"], ["🌽", "corn"],
+  ["🍕", "pizza"], ["🍩", "doughnut"], ["🎂", "cake"], ["☕", "coffee"],
+  ["⚽", "football"], ["🎸", "guitar"], ["🎈", "balloon"], ["🔑", "key"],
+  ["🔔", "bell"], ["⚓", "anchor"], ["🚲", "bicycle"], ["🚀", "rocket"]
+]
+
+/**
+ * @param {CryptoKey} verificationKey HMAC key from importRoomKeys
+ * @param {{local: string, remote: string}} fingerprints from PeerConnection#getFingerprints
+ * @returns {Promise<Array<{emoji: string, name: string}>>} identical on both ends
+ *   of the same DTLS session in the same room
+ */
+export async function computeSafetyNumber(verificationKey, { local, remote }) {
+  // Each side sees the pair the other way round; order it so both compute the same input
+  const transcript = [local, remote].sort().join("|")
+  const mac = new Uint8Array(await crypto.subtle.sign(
+    "HMAC",
+    verificationKey,
+    new TextEncoder().encode(transcript)
+  ))
+
+  const symbols = []
+  for (let i = 0; i < SAFETY_NUMBER_LENGTH; i++) {
+    const [emoji, name] = SYMBOLS[mac[i] & 0x3f]
+    symbols.push({ emoji, name })
+  }
+  return symbols
+}
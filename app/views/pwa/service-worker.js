@@ -1,26 +1,106 @@
-// Add a service worker for processing Web Push notifications:
+// nullroom service worker: streamed downloads for received P2P files.
 //
-// self.addEventListener("push", async (event) => {
-//   const { title, options } = await event.data.json()
-//   event.waitUntil(self.registration.showNotification(title, options))
-// })
-//
-// self.addEventListener("notificationclick", function(event) {
-//   event.notification.close()
-//   event.waitUntil(
-//     clients.matchAll({ type: "window" }).then((clientList) => {
-//       for (let i = 0; i < clientList.length; i++) {
-//         let client = clientList[i]
-//         let clientPath = (new URL(client.url)).pathname
-//
-//         if (clientPath == event.notification.data.path && "focus" in client) {
-//           return client.focus()
-//         }
-//       }
-//
-//       if (clients.openWindow) {
-//         return clients.openWindow(event.notification.data.path)
-//       }
-//     })
-//   )
-// })
+// The room page (modules/file_sink.js) opens a MessageChannel per download and
+// pushes decrypted chunks through it. A hidden iframe then navigates to
+// /nullroom-download/<id>, which this worker answers with a streamed
+// attachment response so the browser writes the file to disk as it arrives.
+// Each chunk is acknowledged once the stream wants more, so the page never
+// gets more than STREAM_HIGH_WATER_MARK ahead of the download. The page also
+// sends "nullroom-keepalive" messages while a download is open; receiving
+// them is what keeps the browser from stopping this worker mid-download.
+// Nothing here touches the network.
+
+const DOWNLOAD_ID   = /^[0-9a-f-]{36}$/
+const DOWNLOAD_PATH = /^\/nullroom-download\/([0-9a-f-]{36})$/
+const STREAM_HIGH_WATER_MARK = 1_048_576 // bytes queued before acks are held back
+const UNCLAIMED_TTL_MS = 60_000 // drop a download whose frame never requested it
+const downloads = new Map()
+
+self.addEventListener("install", () => self.skipWaiting())
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(self.clients.claim())
+})
+
+self.addEventListener("message", (event) => {
+  const data = event.data || {}
+  if (data.type === "nullroom-keepalive") return // the event itself resets the idle timer
+
+  const port = event.ports && event.ports[0]
+  if (data.type !== "nullroom-download" || !port || !DOWNLOAD_ID.test(data.id)) return
+
+  let ackHeld = false
+  const ack = () => port.postMessage({ type: "ack" })
+
+  const stream = new ReadableStream({
+    start(controller) {
+      port.onmessage = ({ data: message }) => {
+        if (message.type === "chunk") {
+          controller.enqueue(new Uint8Array(message.chunk))
+          // Full: answer from pull() once the download has read some of it
+          if (controller.desiredSize > 0) ack()
+          else ackHeld = true
+        } else if (message.type === "close") {
+          controller.close()
+          port.close()
+        } else if (message.type === "abort") {
+          forget()
+          controller.error(new Error("Download aborted"))
+          port.close()
+        }
+      }
+    },
+    pull() {
+      if (!ackHeld) return
+      ackHeld = false
+      ack()
+    },
+    cancel() {
+      // The user cancelled the download: stop the page from waiting on an ack
+      port.postMessage({ type: "cancelled" })
+      port.close()
+    }
+  }, new ByteLengthQueuingStrategy({ highWaterMark: STREAM_HIGH_WATER_MARK }))
+
+  // Unclaimed downloads (the frame was blocked, the tab closed…) must not keep
+  // their queued chunks here; cancelling also tells the page to stop writing.
+  const expiry = setTimeout(() => {
+    if (forget()) stream.cancel()
+  }, UNCLAIMED_TTL_MS)
+
+  function forget() {
+    clearTimeout(expiry)
+    if (downloads.get(data.id)?.stream !== stream) return false
+    downloads.delete(data.id)
+    return true
+  }
+
+  downloads.set(data.id, {
+    stream,
+    expiry,
+    name: String(data.name || "download")
+  })
+
+  port.postMessage({ type: "ready", url: `${self.registration.scope}nullroom-download/${data.id}` })
+})
+
+self.addEventListener("fetch", (event) => {
+  const url = new URL(event.request.url)
+  if (url.origin !== self.location.origin) return
+
+  const match = url.pathname.match(DOWNLOAD_PATH)
+  if (!match || !downloads.has(match[1])) return
+
+  const download = downloads.get(match[1])
+  downloads.delete(match[1]) // single use
+  clearTimeout(download.expiry)
+
+  const encodedName = encodeURIComponent(download.name).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+  event.respondWith(new Response(download.stream, {
+    headers: {
+      "Content-Type": "application/octet-stream",
+      "Content-Disposition": `attachment; filename*=UTF-8''${encodedName}`,
+      "X-Content-Type-Options": "nosniff"
+    }
+  }))
+})
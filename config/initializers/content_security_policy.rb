@@ -18,12 +18,17 @@ Rails.application.configure do
     policy.script_src  :self
     policy.style_src   :self
 
-    policy.img_src     :self, :data
+    # blob: serves inline previews of files received over P2P (never fetched remotely).
+    policy.img_src     :self, :data, :blob
     policy.font_src    :self, :data
 
     # Required for ActionCable and fetch/XHR. Includes ws/wss for dev and prod sockets.
     policy.connect_src :self, :https, :wss, :ws
 
+    # Sandboxed PDF previews load from blob: URLs; :self keeps the service-worker
+    # download frame working.
+    policy.frame_src   :self, :blob
+
     # Planned compatibility for future worker-based file processing.
     policy.worker_src  :self, :blob
   end
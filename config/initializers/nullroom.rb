@@ -16,7 +16,8 @@ module Nullroom
     DESTROY_ROOM_ON_PEER_LEAVE = false
 
     # Maximum P2P file transfer size in bytes.
+    # Senders stream chunks from disk, so this is no longer bound by browser memory.
     # Override with NULLROOM_FILE_TRANSFER_SIZE_LIMIT_BYTES in environment.
-    FILE_TRANSFER_SIZE_LIMIT_BYTES = ENV.fetch("NULLROOM_FILE_TRANSFER_SIZE_LIMIT_BYTES", 16 * 1024 * 1024).to_i
+    FILE_TRANSFER_SIZE_LIMIT_BYTES = ENV.fetch("NULLROOM_FILE_TRANSFER_SIZE_LIMIT_BYTES", 512 * 1024 * 1024).to_i
   end
 end
@@ -139,11 +139,43 @@ class RoomsChannelTest < ActionCable::Channel::TestCase
     end
   end
 
+  test "tells peers to use relay-only ICE when the room was created that way" do
+    room_id = "room-relay"
+    redis = InMemoryRedis.new(
+      "room:#{room_id}" => "active",
+      "room:#{room_id}:count" => "0",
+      "room:#{room_id}:relay_only" => "1"
+    )
+
+    with_stubbed_redis(redis) do
+      subscribe room_id: room_id
+
+      assert subscription.confirmed?
+      assert_equal true, transmissions.last.deep_symbolize_keys.fetch(:relay_only)
+    end
+  end
+
+  test "does not ask for relay-only ICE in a regular room" do
+    room_id = "room-direct"
+    redis = InMemoryRedis.new(
+      "room:#{room_id}" => "active",
+      "room:#{room_id}:count" => "0"
+    )
+
+    with_stubbed_redis(redis) do
+      subscribe room_id: room_id
+
+      assert subscription.confirmed?
+      assert_equal false, transmissions.last.deep_symbolize_keys.fetch(:relay_only)
+    end
+  end
+
   test "destroys room keys when a peer unsubscribes and flag is enabled" do
     room_id = "room-destroy"
     redis = InMemoryRedis.new(
       "room:#{room_id}" => "active",
-      "room:#{room_id}:count" => "1"
+      "room:#{room_id}:count" => "1",
+      "room:#{room_id}:relay_only" => "1"
     )
 
     # Explicitly enable destroy behavior
@@ -169,6 +201,7 @@ class RoomsChannelTest < ActionCable::Channel::TestCase
 
       assert_not redis.exists?("room:#{room_id}")
       assert_not redis.exists?("room:#{room_id}:count")
+      assert_not redis.exists?("room:#{room_id}:relay_only")
     end
   ensure
     # Restore original value
@@ -218,6 +251,53 @@ class RoomsChannelTest < ActionCable::Channel::TestCase
     end
   end
 
+  test "lets a peer whose connection dropped resubscribe to the same room" do
+    room_id = "room-resubscribe"
+    redis = InMemoryRedis.new(
+      "room:#{room_id}" => "active",
+      "room:#{room_id}:count" => "1"
+    )
+
+    original_value = Nullroom::Config::DESTROY_ROOM_ON_PEER_LEAVE
+    silence_warnings do
+      Nullroom::Config.const_set(:DESTROY_ROOM_ON_PEER_LEAVE, false)
+    end
+
+    with_stubbed_redis(redis) do
+      subscribe room_id: room_id
+      first_connection_id = transmissions.last.deep_symbolize_keys.fetch(:connection_id)
+
+      assert_broadcast_on(
+        "rooms:#{room_id}",
+        { type: "peer_left", connection_id: first_connection_id }
+      ) do
+        unsubscribe
+      end
+      assert_equal "1", redis.get("room:#{room_id}:count")
+
+      # The cable reconnects: a new subscription takes the free seat back
+      peer_broadcasts = capture_broadcasts("rooms:#{room_id}") do
+        subscribe room_id: room_id
+      end
+
+      assert subscription.confirmed?
+      init_payload = transmissions.last.deep_symbolize_keys
+      assert_equal "init", init_payload[:type]
+      assert_not_equal first_connection_id, init_payload[:connection_id]
+      assert_equal "2", redis.get("room:#{room_id}:count")
+
+      # The other peer is told, so it can cancel its peer_left grace period
+      assert_equal(
+        [ { "type" => "peer_ready", "connection_id" => init_payload[:connection_id] } ],
+        peer_broadcasts
+      )
+    end
+  ensure
+    silence_warnings do
+      Nullroom::Config.const_set(:DESTROY_ROOM_ON_PEER_LEAVE, original_value)
+    end
+  end
+
   test "init message includes file_sharing flag set to true" do
     room_id = "room-file-sharing"
     redis = InMemoryRedis.new(
@@ -236,7 +316,7 @@ class RoomsChannelTest < ActionCable::Channel::TestCase
     end
   end
 
-  test "initiate_file_transfer authorises and transmits authorized for files within the 25 MB limit" do
+  test "initiate_file_transfer authorises and transmits authorized for files within the limit" do
     room_id = "room-file-ok"
     redis = InMemoryRedis.new(
       "room:#{room_id}" => "active",
@@ -277,7 +357,78 @@ class RoomsChannelTest < ActionCable::Channel::TestCase
     end
   end
 
-  test "initiate_file_transfer rejects and transmits error for files exceeding the 25 MB limit" do
+  test "initiate_file_transfer authorises files of hundreds of megabytes" do
+    room_id = "room-file-large-ok"
+    redis = InMemoryRedis.new(
+      "room:#{room_id}" => "active",
+      "room:#{room_id}:count" => "0"
+    )
+
+    with_stubbed_redis(redis) do
+      subscribe room_id: room_id
+      assert subscription.confirmed?
+
+      perform :initiate_file_transfer, { "metadata" => { "file_name" => "build.tar", "file_size" => 300_000_000 } }
+
+      response = transmissions.last.deep_symbolize_keys
+      assert_equal "file_transfer_authorized", response[:type]
+    end
+  end
+
+  test "initiate_file_transfer echoes a UUID transfer_id so queued files can be matched" do
+    room_id = "room-file-queue"
+    transfer_id = "3f2b8c1e-9a4d-4e7f-8b21-0c5d6e7f8a9b"
+    redis = InMemoryRedis.new(
+      "room:#{room_id}" => "active",
+      "room:#{room_id}:count" => "0"
+    )
+
+    with_stubbed_redis(redis) do
+      subscribe room_id: room_id
+      assert subscription.confirmed?
+
+      perform :initiate_file_transfer, {
+        "metadata" => { "file_name" => "a.txt", "file_size" => 10, "transfer_id" => transfer_id }
+      }
+      authorized = transmissions.last.deep_symbolize_keys
+      assert_equal "file_transfer_authorized", authorized[:type]
+      assert_equal transfer_id, authorized[:transfer_id]
+
+      perform :initiate_file_transfer, {
+        "metadata" => {
+          "file_name" => "b.iso",
+          "file_size" => Nullroom::Config::FILE_TRANSFER_SIZE_LIMIT_BYTES + 1,
+          "transfer_id" => transfer_id
+        }
+      }
+      rejected = transmissions.last.deep_symbolize_keys
+      assert_equal "file_transfer_error", rejected[:type]
+      assert_equal transfer_id, rejected[:transfer_id]
+    end
+  end
+
+  test "initiate_file_transfer does not echo a malformed transfer_id" do
+    room_id = "room-file-bad-id"
+    redis = InMemoryRedis.new(
+      "room:#{room_id}" => "active",
+      "room:#{room_id}:count" => "0"
+    )
+
+    with_stubbed_redis(redis) do
+      subscribe room_id: room_id
+      assert subscription.confirmed?
+
+      perform :initiate_file_transfer, {
+        "metadata" => { "file_name" => "a.txt", "file_size" => 10, "transfer_id" => XSS_POLYGLOT_PAYLOAD }
+      }
+
+      response = transmissions.last.deep_symbolize_keys
+      assert_equal "file_transfer_authorized", response[:type]
+      refute response.key?(:transfer_id)
+    end
+  end
+
+  test "initiate_file_transfer rejects and transmits error for files exceeding the limit" do
     room_id = "room-file-too-large"
     redis = InMemoryRedis.new(
       "room:#{room_id}" => "active",
@@ -288,11 +439,16 @@ class RoomsChannelTest < ActionCable::Channel::TestCase
       subscribe room_id: room_id
       assert subscription.confirmed?
 
-      perform :initiate_file_transfer, { "metadata" => { "file_name" => "huge.zip", "file_size" => 30_000_000 } }
+      perform :initiate_file_transfer, {
+        "metadata" => {
+          "file_name" => "huge.zip",
+          "file_size" => Nullroom::Config::FILE_TRANSFER_SIZE_LIMIT_BYTES + 1
+        }
+      }
 
       response = transmissions.last.deep_symbolize_keys
       assert_equal "file_transfer_error", response[:type]
-      assert_includes response[:error], "16 MB"
+      assert_includes response[:error], "512 MB"
     end
   end
 
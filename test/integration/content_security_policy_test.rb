@@ -17,4 +17,15 @@ class ContentSecurityPolicyTest < ActionDispatch::IntegrationTest
     refute_includes csp, "'unsafe-inline'"
     refute_includes csp, "'unsafe-eval'"
   end
+
+  test "csp allows blob: only where inline file previews need it" do
+    get root_path
+
+    directives = response.headers["Content-Security-Policy"].split(";").map(&:strip)
+
+    assert_includes directives, "img-src 'self' data: blob:"
+    assert_includes directives, "frame-src 'self' blob:"
+    refute directives.find { |d| d.start_with?("script-src") }.include?("blob:")
+    refute directives.find { |d| d.start_with?("connect-src") }.include?("blob:")
+  end
 end